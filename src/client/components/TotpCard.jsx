@@ -8,39 +8,54 @@ import { Card, CardBody, Button, Chip, Progress } from "@heroui/react";
  * @param {string} props.platform - 平台名称
  * @param {string} props.description - 描述信息
  * @param {string} [props.color="primary"] - 卡片主题色
- * @param {Function} props.onGenerate - 生成TOTP代码的回调函数
+ * @param {Function} props.onGenerate - 生成TOTP代码的回调函数，返回验证码字符串，
+ * 或 GET /api/keys/:id/code 的结果（含 period、valid_until 与 next）
  * @param {Function} props.onDelete - 删除的回调函数
  * @returns {JSX.Element} TOTP卡片组件
  */
 function TotpCard({ name, platform, description, color = "primary", onGenerate }) {
   const [totpCode, setTotpCode] = useState("------");
+  const [nextCode, setNextCode] = useState(null);
+  const [period, setPeriod] = useState(30);
+  const [validUntil, setValidUntil] = useState(null);
   const [timeLeft, setTimeLeft] = useState(30);
   const [isHovered, setIsHovered] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [isCopied, setIsCopied] = useState(false);
 
-  // 计算剩余时间
+  // 计算剩余时间：有服务端给出的有效期时以其为准，否则按时间步长对齐
   useEffect(() => {
     const timer = setInterval(() => {
-      const now = Math.floor(Date.now() / 1000);
-      const remaining = 30 - (now % 30);
-      setTimeLeft(remaining);
-      
+      const now = Date.now();
+      const remaining = validUntil !== null
+        ? Math.ceil((validUntil - now) / 1000)
+        : period - (Math.floor(now / 1000) % period);
+      setTimeLeft(Math.max(remaining, 0));
+
       // 自动生成新代码
-      if (remaining === 30 && totpCode !== "------") {
+      if ((validUntil !== null && remaining <= 0) || (validUntil === null && remaining === period && totpCode !== "------")) {
         handleGenerate();
       }
     }, 1000);
 
     return () => clearInterval(timer);
-  }, []); // 移除 totpCode 依赖，避免无限循环
+  }, [period, validUntil]);
 
   // 生成TOTP代码
   const handleGenerate = async () => {
     setIsGenerating(true);
     try {
-      const code = await onGenerate();
-      setTotpCode(code);
+      const result = await onGenerate();
+      if (typeof result === "string") {
+        setTotpCode(result);
+        setNextCode(null);
+        setValidUntil(null);
+      } else {
+        setTotpCode(result.code);
+        setNextCode(result.next ?? null);
+        setPeriod(result.period ?? 30);
+        setValidUntil(result.valid_until ?? null);
+      }
     } catch (error) {
       console.error("Failed to generate TOTP:", error);
       setTotpCode("ERROR");
@@ -103,7 +118,7 @@ function TotpCard({ name, platform, description, color = "primary", onGenerate }
                 </span>
               </div>
               <Progress 
-                value={(timeLeft / 30) * 100} 
+                value={(timeLeft / period) * 100} 
                 size="md"
                 color={getProgressColor()}
                 className="w-full"
@@ -153,7 +168,9 @@ function TotpCard({ name, platform, description, color = "primary", onGenerate }
             </div>
 
             <div className="text-xs text-default-400">
-              {timeLeft}s 后自动刷新
+              {nextCode && timeLeft <= 5
+                ? `下一个: ${nextCode}（${timeLeft}s 后生效）`
+                : `${timeLeft}s 后自动刷新`}
             </div>
           </div>
         </div>
@@ -0,0 +1,569 @@
+/**
+ * @fileoverview 密钥管理 API 路由
+ * @description 挂载在 /api 下，提供密钥库初始化与密钥导入等接口。
+ * 密钥相关的接口作用于 /api/vaults/:vault/... 指定的密钥库，省略该前缀时作用于默认密钥库。
+ * 鉴权由 server.js 中的中间件统一处理。
+ */
+
+"use strict";
+
+import express from "express";
+import logmy from "../utils/logmy.js";
+import totpmgr from "./totpmgr.js";
+import vaults from "./vaults.js";
+import qr from "./qr.js";
+import migration from "./migration.js";
+import aegis from "./importers/aegis.js";
+import importer from "./importer.js";
+import secret from "./secret.js";
+import backup from "./backup.js";
+import exporter from "./exporter.js";
+import paper from "./paper.js";
+
+const api = express.Router();
+// 单个密钥库的路由，通过 select_vault 选定的密钥库为 req.vault
+const router = express.Router();
+const log = logmy.get_logger("API");
+
+/**
+ * 错误码对应的 HTTP 状态码，优先于路由给出的默认状态码
+ * @type {Object.<string, number>}
+ * @readonly
+ * @private
+ */
+const ERROR_STATUS = Object.freeze({
+  [totpmgr.ERROR_CODES.NOT_FOUND]: 404,
+  [totpmgr.ERROR_CODES.DUPLICATE]: 409,
+  [totpmgr.ERROR_CODES.INVALID_FIELD]: 400,
+  [totpmgr.ERROR_CODES.INVALID_ARGUMENT]: 400,
+  [totpmgr.ERROR_CODES.WRONG_PASSWORD]: 403,
+  [totpmgr.ERROR_CODES.LOCKED]: 423,
+  [totpmgr.ERROR_CODES.SAVE_FAILED]: 500,
+  [vaults.ERROR_CODES.NOT_FOUND]: 404,
+  [vaults.ERROR_CODES.EXISTS]: 409,
+  [vaults.ERROR_CODES.INVALID_NAME]: 400,
+  [qr.ERROR_CODES.UNSUPPORTED_IMAGE]: 415,
+  [qr.ERROR_CODES.NOT_FOUND]: 422,
+  [qr.ERROR_CODES.NOT_OTPAUTH]: 422,
+  [qr.ERROR_CODES.IMAGE_TOO_LARGE]: 413,
+  [aegis.ERROR_CODES.WRONG_PASSWORD]: 403,
+  [backup.ERROR_CODES.WRONG_PASSPHRASE]: 403,
+  [exporter.ERROR_CODES.NOT_FOUND]: 404,
+});
+
+/**
+ * 确认请求体中的主密码，失败时写入审计日志并返回 403
+ * @param {import("express").Request} req - 请求对象
+ * @param {import("express").Response} res - 响应对象
+ * @param {string} event - 审计事件名称
+ * @returns {Promise<boolean>} 密码是否正确；为 false 时响应已发送
+ * @private
+ */
+async function confirm_password(req, res, event) {
+  let ok = false;
+  try {
+    ok = await req.vault.check_password(req.body?.password);
+  } catch (error) {
+    log.error(`Password check failed: ${error.message}`);
+  }
+  if (!ok) {
+    logmy.audit(event, { ip: req.ip, vault: req.vault.name, result: "denied" });
+    send_error(res, 403, Object.assign(new Error("Master password is incorrect."),
+      { code: totpmgr.ERROR_CODES.WRONG_PASSWORD }));
+  }
+  return ok;
+}
+
+/**
+ * 去掉条目中的密钥，用于导入预览
+ * @param {Object} entry - 密钥条目
+ * @returns {Object} 不含 key 字段的条目
+ * @private
+ */
+function without_secret(entry) {
+  const { key, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * 以统一格式返回错误
+ * @param {import("express").Response} res - 响应对象
+ * @param {number} status - 默认 HTTP 状态码，错误码在 ERROR_STATUS 中时以其为准
+ * @param {Error} error - 错误对象，带有 details 时一并返回（如重复条目列表）
+ * @private
+ */
+function send_error(res, status, error) {
+  res.status(ERROR_STATUS[error.code] ?? status).json({
+    ok: false,
+    error: error.message,
+    code: error.code ?? null,
+    ...(error.details && { details: error.details }),
+  });
+}
+
+/**
+ * 按路径参数 vault 选择密钥库并存入 req.vault，省略时使用默认密钥库；
+ * 密钥库锁定时除解锁（/unlock 与 /init）与 /lock 外一律返回 423
+ * @param {import("express").Request} req - 请求对象
+ * @param {import("express").Response} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ * @private
+ */
+function select_vault(req, res, next) {
+  try {
+    req.vault = vaults.get(req.params.vault ?? vaults.DEFAULT_VAULT);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  if (!req.vault.is_unlocked() && !["/unlock", "/init", "/lock"].includes(req.path)) {
+    const error = new Error(`Vault "${req.vault.name}" is locked, unlock it with its master password first.`);
+    return send_error(res, 423, Object.assign(error, { code: totpmgr.ERROR_CODES.LOCKED }));
+  }
+  next();
+}
+
+// 列出密钥库及其锁定状态
+api.get("/vaults", async (req, res) => {
+  res.status(200).json({ ok: true, vaults: await vaults.list() });
+});
+
+// 创建新的密钥库，body: { name, password }；创建后处于解锁状态
+api.post("/vaults", express.json(), async (req, res) => {
+  try {
+    await vaults.create(req.body?.name, req.body?.password);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  logmy.audit("vault.create", { ip: req.ip, vault: req.body.name, result: "granted" });
+  res.status(201).json({ ok: true, name: req.body.name });
+});
+
+// 使用主密码解锁（首次使用时初始化）密钥库；已解锁时校验密码并重新开始自动锁定的计时。
+// /init 为旧名称
+router.post(["/unlock", "/init"], express.json(), async (req, res) => {
+  try {
+    await req.vault.unlock(req.body?.password);
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    send_error(res, 403, error);
+  }
+});
+
+// 锁定密钥库，清零内存中的密钥并丢弃解密后的配置
+router.post("/lock", async (req, res) => {
+  await req.vault.lock();
+  logmy.audit("vault.lock", { ip: req.ip, vault: req.vault.name });
+  res.status(200).json({ ok: true });
+});
+
+// 修改主密码，body: { password, new_password }；password 为当前主密码
+router.post("/password", express.json(), async (req, res) => {
+  if (!await confirm_password(req, res, "vault.password_change")) return;
+
+  try {
+    await req.vault.change_password(req.body.password, req.body.new_password);
+  } catch (error) {
+    logmy.audit("vault.password_change", { ip: req.ip, vault: req.vault.name, result: "failed" });
+    return send_error(res, 400, error);
+  }
+  logmy.audit("vault.password_change", { ip: req.ip, vault: req.vault.name, result: "granted" });
+  res.status(200).json({ ok: true });
+});
+
+// 列出密钥（不含密钥本身），可选查询参数 tag、folder（空字符串表示未归档）与 favorite（true/false）
+router.get("/keys", async (req, res) => {
+  const filter = {};
+  if (typeof req.query.tag === "string") filter.tag = req.query.tag;
+  if (typeof req.query.folder === "string") filter.folder = req.query.folder || null;
+  if (req.query.favorite === "true" || req.query.favorite === "false") {
+    filter.favorite = req.query.favorite === "true";
+  }
+  res.status(200).json({ ok: true, keys: await req.vault.get_totp_info(filter) });
+});
+
+// 闲置条目：查询参数 days（默认 90）天内没有生成过验证码的条目，闲置最久的在前
+router.get("/keys/stale", async (req, res) => {
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  try {
+    res.status(200).json({ ok: true, days, keys: await req.vault.find_stale(days) });
+  } catch (error) {
+    send_error(res, 400, error);
+  }
+});
+
+// 模糊搜索，查询参数 q 为查询文本，limit 为最多返回的数量（默认 20，最大 100）
+router.get("/search", async (req, res) => {
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  try {
+    const results = await req.vault.search(String(req.query.q ?? ""), { limit });
+    res.status(200).json({ ok: true, results });
+  } catch (error) {
+    send_error(res, 400, error);
+  }
+});
+
+// 重复条目报告：列出密钥相同或发行方与账户名相同的条目簇，以及合并后的预览
+router.get("/duplicates", async (req, res) => {
+  res.status(200).json({ ok: true, clusters: await req.vault.find_duplicates() });
+});
+
+// 合并重复条目，body: { ids, keep }，keep 省略时保留 ids 中的第一个
+router.post("/duplicates/merge", express.json(), async (req, res) => {
+  let key;
+  try {
+    key = await req.vault.merge_duplicates(req.body?.ids, req.body?.keep ?? req.body?.ids?.[0]);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true, key });
+});
+
+// 每个标签与文件夹下的条目数量
+router.get("/tags", async (req, res) => {
+  res.status(200).json({
+    ok: true,
+    tags: await req.vault.get_tag_counts(),
+    folders: await req.vault.get_folder_counts(),
+  });
+});
+
+// 在所有条目中重命名标签，body: { from, to }
+router.post("/tags/rename", express.json(), async (req, res) => {
+  let changed;
+  try {
+    changed = await req.vault.rename_tag(req.body?.from, req.body?.to);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true, changed });
+});
+
+// 添加密钥，请求体字段同 totpmgr 中的 add_totp_key，on_duplicate 为重复时的处理方式（默认返回 409）；
+// warnings 为密钥警告（如密钥过短）
+router.post("/keys", express.json(), async (req, res) => {
+  let id;
+  let warnings;
+  try {
+    ({ warnings } = secret.normalize(req.body?.key, req.body?.encoding));
+    id = await req.vault.add_totp_key(req.body, { on_duplicate: req.body.on_duplicate });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(201).json({ ok: true, id, warnings });
+});
+
+// 修改密钥的部分字段，body 为要修改的字段，见 totpmgr 中的 update_totp_key
+router.patch("/keys/:id", express.json(), async (req, res) => {
+  let key;
+  try {
+    key = await req.vault.update_totp_key(req.params.id, req.body);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true, key });
+});
+
+// 删除密钥（移入回收站）
+router.delete("/keys/:id", async (req, res) => {
+  try {
+    await req.vault.remove_totp_key(req.params.id);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true });
+});
+
+// 列出回收站中的条目
+router.get("/trash", async (req, res) => {
+  res.status(200).json({ ok: true, keys: await req.vault.list_trash() });
+});
+
+// 从回收站恢复条目
+router.post("/trash/:id/restore", async (req, res) => {
+  let key;
+  try {
+    key = await req.vault.restore_totp_key(req.params.id);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true, key });
+});
+
+// 永久删除回收站中的一个条目
+router.delete("/trash/:id", async (req, res) => {
+  let purged;
+  try {
+    purged = await req.vault.purge_trash(req.params.id);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true, purged });
+});
+
+// 清空回收站
+router.delete("/trash", async (req, res) => {
+  let purged;
+  try {
+    purged = await req.vault.purge_trash();
+  } catch (error) {
+    return send_error(res, 500, error);
+  }
+  res.status(200).json({ ok: true, purged });
+});
+
+// 设置回收站保留天数，body: { days }
+router.put("/trash/retention", express.json(), async (req, res) => {
+  let days;
+  try {
+    days = await req.vault.set_trash_retention(req.body?.days);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(200).json({ ok: true, days });
+});
+
+// 生成验证码，可选查询参数 at 指定时刻（毫秒时间戳或 ISO 8601，不能早于 1970 年），用于排查验证码被拒绝的问题
+router.get("/keys/:id/code", async (req, res) => {
+  let nowtime = Date.now();
+  if (req.query.at !== undefined) {
+    const at = String(req.query.at);
+    // 只接受不带符号的数字与 ISO 8601 日期：Date.parse 会把 "-5000" 之类的文本解释成任意年份
+    nowtime = /^\d+$/.test(at) ? Number(at) : /^\d{4}-\d{2}-\d{2}/.test(at) ? Date.parse(at) : NaN;
+    if (!Number.isFinite(nowtime) || nowtime < 0) {
+      const error = new Error(`Invalid time "${at}", expected a millisecond timestamp or ISO 8601.`);
+      return send_error(res, 400, Object.assign(error, { code: totpmgr.ERROR_CODES.INVALID_ARGUMENT }));
+    }
+  }
+
+  try {
+    res.status(200).json({ ok: true, ...await req.vault.generate(req.params.id, nowtime) });
+  } catch (error) {
+    send_error(res, 500, error);
+  }
+});
+
+// 校验验证码，body: { code, window }，window 为 0~10 之间的整数（默认 1）
+router.post("/keys/:id/verify", express.json(), async (req, res) => {
+  try {
+    const result = await req.vault.verify(req.params.id, String(req.body?.code ?? ""), req.body?.window ?? 1);
+    res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    send_error(res, 400, error);
+  }
+});
+
+// 使用两个连续验证码重新同步 HOTP 计数器，body: { code1, code2 }
+router.post("/keys/:id/resync", express.json(), async (req, res) => {
+  try {
+    const counter = await req.vault.resync_hotp(req.params.id, req.body?.code1, req.body?.code2);
+    res.status(200).json({ ok: true, counter });
+  } catch (error) {
+    send_error(res, 400, error);
+  }
+});
+
+// 上传二维码图片（PNG/JPEG 原始内容），解析其中的 otpauth URI 并添加密钥；
+// 查询参数 on_duplicate 为重复时的处理方式（默认返回 409）
+router.post("/keys/qr",
+  express.raw({ type: ["image/png", "image/jpeg"], limit: "10mb" }),
+  async (req, res) => {
+    let uri;
+    try {
+      uri = qr.read_otpauth(req.body);
+    } catch (error) {
+      log.warn(`QR import rejected: ${error.message}`);
+      return send_error(res, 400, error);
+    }
+
+    let id;
+    try {
+      id = await req.vault.add_totp_uri(uri, {}, { on_duplicate: req.query.on_duplicate });
+    } catch (error) {
+      return send_error(res, 400, error);
+    }
+    res.status(201).json({ ok: true, id });
+  });
+
+// 将已保存的密钥渲染为 otpauth 二维码，用于迁移到新手机；需要再次输入主密码
+router.post("/keys/:id/qr", express.json(), async (req, res) => {
+  const { id } = req.params;
+  const format = req.body?.format ?? "svg";
+  if (!Object.prototype.hasOwnProperty.call(qr.RENDER_FORMATS, format)) {
+    return send_error(res, 400, Object.assign(new Error(`Unsupported QR format: ${format}`),
+      { code: totpmgr.ERROR_CODES.INVALID_ARGUMENT }));
+  }
+
+  if (!await confirm_password(req, res, "key.qr_export")) return;
+
+  try {
+    const image = await qr.render(await req.vault.get_totp_uri(id), format);
+    logmy.audit("key.qr_export", { ip: req.ip, vault: req.vault.name, id, format, result: "granted" });
+    res.status(200).type(qr.RENDER_FORMATS[format]).send(image);
+  } catch (error) {
+    send_error(res, 400, error);
+  }
+});
+
+// 导入 Google Authenticator 的 otpauth-migration URI（可来自多个二维码）；
+// dry_run 为 true 时只返回预览，不写入密钥库；on_duplicate 同 POST /keys
+router.post("/import/migration", express.json(), async (req, res) => {
+  let result;
+  try {
+    result = migration.combine(req.body?.uris);
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+
+  const summary = {
+    batch_size: result.batch_size,
+    received: result.received,
+    missing: result.missing,
+    rejected: result.rejected,
+  };
+
+  if (req.body?.dry_run) {
+    return res.status(200).json({ ok: true, ...summary, entries: result.entries.map(without_secret) });
+  }
+
+  let ids;
+  try {
+    ids = await req.vault.add_totp_keys(result.entries, { on_duplicate: req.body.on_duplicate });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(201).json({ ok: true, ...summary, imported: ids.length, ids });
+});
+
+// 导入 Aegis 导出文件（明文或加密）；dry_run 为 true 时只返回预览；on_duplicate 同 POST /keys
+router.post("/import/aegis", express.json({ limit: "10mb" }), async (req, res) => {
+  let result;
+  try {
+    result = await aegis.parse(req.body?.file, { password: req.body?.password });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+
+  if (req.body?.dry_run) {
+    return res.status(200).json({ ok: true, rejected: result.rejected, entries: result.entries.map(without_secret) });
+  }
+
+  let ids;
+  try {
+    ids = await req.vault.add_totp_keys(result.entries, { on_duplicate: req.body.on_duplicate });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  res.status(201).json({ ok: true, rejected: result.rejected, imported: ids.length, ids });
+});
+
+// 通用导入：自动识别 Aegis、2FAS、andOTP、Bitwarden 与 otpauth URI 列表，
+// 返回逐条报告；dry_run 为 true 时只返回报告；on_duplicate 为 skip（默认）、replace 或 keep_both
+router.post("/import", express.json({ limit: "10mb" }), async (req, res) => {
+  try {
+    const result = await importer.run(req.vault, req.body?.file, {
+      format: req.body?.format,
+      password: req.body?.password,
+      dry_run: !!req.body?.dry_run,
+      on_duplicate: req.body?.on_duplicate,
+    });
+    res.status(result.dry_run ? 200 : 201).json({ ok: true, ...result });
+  } catch (error) {
+    send_error(res, 400, error);
+  }
+});
+
+// 下载整个密钥库的便携加密备份，body: { password, passphrase }；
+// password 为主密码，passphrase 为备份口令，恢复时只需要口令
+router.post("/backup", express.json(), async (req, res) => {
+  if (!await confirm_password(req, res, "vault.backup")) return;
+
+  let file;
+  try {
+    file = await backup.pack(await req.vault.export_entries(), req.body.passphrase, { vault: req.vault.name });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  logmy.audit("vault.backup", { ip: req.ip, vault: req.vault.name, count: file.count, result: "granted" });
+  res.status(200)
+    .attachment(`${req.vault.name}-${file.created_at.slice(0, 10)}.backup.json`)
+    .json(file);
+});
+
+// 从便携备份恢复，body: { file, passphrase, mode, dry_run }；mode 为 merge（默认）或 replace，
+// dry_run 为 true 时只返回差异
+router.post("/backup/restore", express.json({ limit: "10mb" }), async (req, res) => {
+  let result;
+  try {
+    const { entries } = await backup.unpack(req.body?.file, req.body?.passphrase);
+    result = await req.vault.restore_entries(entries, { mode: req.body.mode, dry_run: !!req.body.dry_run });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  if (!result.dry_run) {
+    logmy.audit("vault.restore", { ip: req.ip, vault: req.vault.name, mode: result.mode, ...result.counts });
+  }
+  res.status(200).json({ ok: true, ...result });
+});
+
+// 明文导出（包含全部密钥，不加密），body: { password, format, ids, tags }；
+// format 为 uris（每行一个 otpauth URI）、csv 或 json，ids 与 tags 省略时导出全部条目；需要再次输入主密码
+router.post("/export", express.json(), async (req, res) => {
+  if (!await confirm_password(req, res, "vault.plaintext_export")) return;
+
+  let result;
+  try {
+    const entries = exporter.select(await req.vault.export_entries(), { ids: req.body.ids, tags: req.body.tags });
+    result = exporter.render(entries, req.body.format ?? "json", { vault: req.vault.name });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  logmy.audit("vault.plaintext_export", {
+    ip: req.ip,
+    vault: req.vault.name,
+    format: req.body.format ?? "json",
+    ids: req.body.ids ?? null,
+    tags: req.body.tags ?? null,
+    count: result.count,
+    result: "granted",
+  });
+  if (result.skipped.length) {
+    log.warn(`Export skipped ${result.skipped.map(({ name, reason }) => `"${name}" (${reason})`).join(", ")}`);
+    res.set("X-Export-Skipped", String(result.skipped.length));
+  }
+  res.status(200)
+    .attachment(`${req.vault.name}-export.${result.extension}`)
+    .type(result.content_type)
+    .send(result.content);
+});
+
+// 可打印的纸质备份页面（包含全部密钥），body: { password, ids, tags }；
+// ids 与 tags 的含义同 POST /export，页面带生成时间与整个密钥库的指纹；需要再次输入主密码
+router.post("/paper", express.json(), async (req, res) => {
+  if (!await confirm_password(req, res, "vault.paper_backup")) return;
+
+  let entries, html;
+  try {
+    const all = await req.vault.export_entries();
+    entries = exporter.select(all, { ids: req.body.ids, tags: req.body.tags });
+    html = await paper.render(entries, { vault: req.vault.name, fingerprint: paper.fingerprint(all) });
+  } catch (error) {
+    return send_error(res, 400, error);
+  }
+  logmy.audit("vault.paper_backup", {
+    ip: req.ip,
+    vault: req.vault.name,
+    ids: req.body.ids ?? null,
+    tags: req.body.tags ?? null,
+    count: entries.length,
+    result: "granted",
+  });
+  res.status(200)
+    .attachment(`${req.vault.name}-paper-backup.html`)
+    .type("text/html; charset=utf-8")
+    .send(html);
+});
+
+api.use("/vaults/:vault", select_vault, router);
+api.use(select_vault, router);
+
+export default api;
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview 便携备份文件格式
+ * @description 用口令加密整个密钥库的条目，生成不依赖服务器 `.keyfile` 与盐值的备份文件，
+ * 可以拷贝到其他机器恢复或离线保存。文件为 JSON：
+ * 明文头部记录格式、版本与 KDF（scrypt）参数，条目经 AES-256-GCM 加密，头部作为附加认证数据；
+ * checksum 是头部与密文的 SHA-256，无需口令即可发现文件损坏。
+ */
+
+"use strict";
+
+import crypto from "crypto";
+
+/**
+ * 备份文件格式标识
+ * @type {string}
+ * @private
+ */
+const FORMAT = "totp-vault-backup";
+
+/**
+ * 当前备份格式版本
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * 新备份使用的 scrypt 参数（N = 2^15，约 32MB 内存）
+ * @type {Object}
+ * @readonly
+ * @private
+ */
+const KDF_DEFAULTS = Object.freeze({ name: "scrypt", n: 32768, r: 8, p: 1 });
+
+/**
+ * 读取备份时允许的 scrypt 参数范围（含两端）。scrypt 需要约 128·N·r 字节内存，
+ * 上限下最多约 128MB，计算量最多为默认参数的 16 倍，篡改过的头部无法让服务器耗尽内存或长时间占用 CPU
+ * @type {Object}
+ * @readonly
+ * @private
+ */
+const KDF_LIMITS = Object.freeze({ n: [16384, 131072], r: [1, 8], p: [1, 4] });
+
+/**
+ * scrypt 的内存上限：KDF_LIMITS 内最大参数所需内存的两倍，与文件中的参数无关
+ * @type {number}
+ * @private
+ */
+const KDF_MAXMEM = 2 * 128 * KDF_LIMITS.n[1] * KDF_LIMITS.r[1];
+
+/**
+ * 口令的最短长度
+ * @type {number}
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * 备份错误码
+ * @type {Object.<string, string>}
+ * @property {string} INVALID_FILE - 文件不是支持的备份格式或结构不完整
+ * @property {string} CORRUPT - 校验和不匹配，文件已损坏
+ * @property {string} WRONG_PASSPHRASE - 口令错误或文件被篡改（认证失败）
+ * @property {string} WEAK_PASSPHRASE - 创建备份时口令过短
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  INVALID_FILE: "BACKUP_INVALID_FILE",
+  CORRUPT: "BACKUP_CORRUPT",
+  WRONG_PASSPHRASE: "BACKUP_WRONG_PASSPHRASE",
+  WEAK_PASSPHRASE: "BACKUP_WEAK_PASSPHRASE",
+});
+
+/**
+ * 创建带错误码的错误对象
+ * @param {string} code - ERROR_CODES 中的错误码
+ * @param {string} message - 错误描述
+ * @returns {Error} 带 code 属性的错误
+ * @private
+ */
+function backup_error(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * 使用 scrypt 从口令派生密钥
+ * @param {string} passphrase - 口令
+ * @param {Object} kdf - KDF 参数，包含 n、r、p 与十六进制 salt
+ * @returns {Promise<Buffer>} 32 字节派生密钥
+ * @private
+ */
+function scrypt(passphrase, kdf) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, "hex"), 32, {
+      N: kdf.n,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: KDF_MAXMEM,
+    }, (err, derived_key) => err ? reject(err) : resolve(derived_key));
+  });
+}
+
+/**
+ * 取出参与认证与校验的头部字段，字段顺序固定，保证序列化结果稳定
+ * @param {Object} file - 备份文件对象
+ * @returns {string} 头部的 JSON 文本
+ * @private
+ */
+function header_text(file) {
+  return JSON.stringify({
+    format: file.format,
+    version: file.version,
+    created_at: file.created_at,
+    vault: file.vault,
+    count: file.count,
+    kdf: { name: file.kdf.name, n: file.kdf.n, r: file.kdf.r, p: file.kdf.p, salt: file.kdf.salt },
+    cipher: { name: file.cipher.name, iv: file.cipher.iv },
+  });
+}
+
+/**
+ * 计算头部、认证标签与密文的校验和
+ * @param {Object} file - 备份文件对象
+ * @returns {string} "sha256:" 加十六进制摘要
+ * @private
+ */
+function checksum_of(file) {
+  const hash = crypto.createHash("sha256")
+    .update(header_text(file))
+    .update(file.cipher.tag)
+    .update(file.ciphertext);
+  return `sha256:${hash.digest("hex")}`;
+}
+
+/**
+ * 校验 KDF 参数是否在允许范围内
+ * @param {Object} kdf - KDF 参数
+ * @returns {boolean} 是否合法
+ * @private
+ */
+function kdf_ok(kdf) {
+  return kdf.name === "scrypt" && typeof kdf.salt === "string" && /^[0-9a-f]{32,}$/.test(kdf.salt) &&
+    Object.entries(KDF_LIMITS).every(([param, [min, max]]) =>
+      Number.isInteger(kdf[param]) && kdf[param] >= min && kdf[param] <= max) &&
+    (kdf.n & (kdf.n - 1)) === 0;
+}
+
+/**
+ * 创建备份文件
+ * @param {Array<Object>} entries - 完整的密钥条目（包含密钥）
+ * @param {string} passphrase - 备份口令，与主密码无关，至少 MIN_PASSPHRASE_LENGTH 个字符
+ * @param {Object} [info={}] - 写入明文头部的附加信息
+ * @param {string} [info.vault] - 来源密钥库名称
+ * @returns {Promise<Object>} 备份文件对象，JSON 序列化后保存
+ * @throws {Error} 当口令过短时（code 为 BACKUP_WEAK_PASSPHRASE）
+ * @example
+ * const file = await backup.pack(entries, "correct horse battery staple", { vault: "default" });
+ * fs.writeFileSync("vault.backup.json", JSON.stringify(file, null, 2));
+ */
+async function pack(entries, passphrase, info = {}) {
+  if (typeof passphrase !== "string" || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw backup_error(ERROR_CODES.WEAK_PASSPHRASE,
+      `The backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+  }
+
+  const file = {
+    format: FORMAT,
+    version: VERSION,
+    created_at: new Date().toISOString(),
+    vault: info.vault ?? null,
+    count: entries.length,
+    kdf: { ...KDF_DEFAULTS, salt: crypto.randomBytes(16).toString("hex") },
+    cipher: { name: "aes-256-gcm", iv: crypto.randomBytes(12).toString("hex") },
+  };
+
+  const key = await scrypt(passphrase, file.kdf);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, Buffer.from(file.cipher.iv, "hex"));
+  cipher.setAAD(Buffer.from(header_text(file)));
+  const plaintext = Buffer.from(JSON.stringify({ entries }));
+  file.ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]).toString("base64");
+  file.cipher.tag = cipher.getAuthTag().toString("hex");
+  file.checksum = checksum_of(file);
+  return file;
+}
+
+/**
+ * 读取备份文件
+ * @param {string|Object} input - 备份文件内容（JSON 文本或已解析的对象）
+ * @param {string} passphrase - 备份口令
+ * @returns {Promise<{created_at: string, vault: string|null, entries: Array<Object>}>} 备份时间、来源密钥库与完整条目
+ * @throws {Error} 当文件格式不对或版本过新（code 为 BACKUP_INVALID_FILE）、校验和不匹配（code 为 BACKUP_CORRUPT）、
+ * 口令错误或内容被篡改时（code 为 BACKUP_WRONG_PASSPHRASE）
+ */
+async function unpack(input, passphrase) {
+  let file = input;
+  if (typeof input === "string") {
+    try {
+      file = JSON.parse(input);
+    } catch {
+      throw backup_error(ERROR_CODES.INVALID_FILE, "The backup file is not valid JSON.");
+    }
+  }
+  if (!file || typeof file !== "object" || file.format !== FORMAT) {
+    throw backup_error(ERROR_CODES.INVALID_FILE, "The file is not a vault backup.");
+  }
+  if (!Number.isInteger(file.version) || file.version > VERSION) {
+    throw backup_error(ERROR_CODES.INVALID_FILE,
+      `Backup version ${file.version} is not supported, the newest supported version is ${VERSION}.`);
+  }
+  if (!file.kdf || !kdf_ok(file.kdf) || file.cipher?.name !== "aes-256-gcm" ||
+    typeof file.cipher.iv !== "string" || typeof file.cipher.tag !== "string" || typeof file.ciphertext !== "string") {
+    throw backup_error(ERROR_CODES.INVALID_FILE, "The backup header is incomplete or uses unsupported parameters.");
+  }
+  if (file.checksum !== checksum_of(file)) {
+    throw backup_error(ERROR_CODES.CORRUPT, "The backup checksum does not match, the file is damaged.");
+  }
+
+  const key = await scrypt(String(passphrase ?? ""), file.kdf);
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(file.cipher.iv, "hex"));
+    decipher.setAAD(Buffer.from(header_text(file)));
+    decipher.setAuthTag(Buffer.from(file.cipher.tag, "hex"));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(file.ciphertext, "base64")), decipher.final()]);
+  } catch {
+    throw backup_error(ERROR_CODES.WRONG_PASSPHRASE, "Wrong passphrase, or the backup has been modified.");
+  }
+
+  const { entries } = JSON.parse(plaintext.toString("utf8"));
+  if (!Array.isArray(entries) || entries.length !== file.count) {
+    throw backup_error(ERROR_CODES.INVALID_FILE, "The backup content does not match its header.");
+  }
+  return { created_at: file.created_at, vault: file.vault, entries };
+}
+
+/**
+ * 备份文件模块导出
+ * @namespace Backup
+ * @property {Function} pack - 创建备份文件
+ * @property {Function} unpack - 读取备份文件
+ * @property {number} VERSION - 当前备份格式版本
+ * @property {number} MIN_PASSPHRASE_LENGTH - 口令的最短长度
+ * @property {Object} ERROR_CODES - 错误码
+ */
+export default Object.freeze({
+  pack,
+  unpack,
+  VERSION,
+  MIN_PASSPHRASE_LENGTH,
+  ERROR_CODES,
+});
\ No newline at end of file
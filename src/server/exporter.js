@@ -0,0 +1,238 @@
+/**
+ * @fileoverview 明文导出
+ * @description 把密钥库条目导出为其他验证器可以导入的明文格式：每行一个的 otpauth URI 列表、CSV 与 JSON。
+ * 导出内容包含全部密钥，调用方负责再次确认主密码并记录审计日志。
+ */
+
+"use strict";
+
+import otpauth from "./otpauth.js";
+import totp from "./totp.js";
+
+/**
+ * JSON 导出的格式标识
+ * @type {string}
+ * @private
+ */
+const JSON_FORMAT = "totp-plain-export";
+
+/**
+ * JSON 导出的结构版本
+ * @type {number}
+ */
+const JSON_VERSION = 1;
+
+/**
+ * CSV 导出的列，顺序即输出顺序
+ * @type {Array<string>}
+ * @readonly
+ * @private
+ */
+const CSV_COLUMNS = Object.freeze(["id", "name", "platform", "description", "type", "secret", "algorithm",
+  "digits", "period", "epoch", "counter", "tags", "folder", "favorite", "uri"]);
+
+/**
+ * 支持的导出格式及其 MIME 类型与扩展名
+ * @type {Object.<string, {content_type: string, extension: string}>}
+ * @readonly
+ */
+const FORMATS = Object.freeze({
+  uris: { content_type: "text/plain; charset=utf-8", extension: "txt" },
+  csv: { content_type: "text/csv; charset=utf-8", extension: "csv" },
+  json: { content_type: "application/json; charset=utf-8", extension: "json" },
+});
+
+/**
+ * 导出错误码
+ * @type {Object.<string, string>}
+ * @property {string} UNSUPPORTED_FORMAT - 导出格式不支持
+ * @property {string} NOT_FOUND - 选择的条目ID不存在
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  UNSUPPORTED_FORMAT: "EXPORT_UNSUPPORTED_FORMAT",
+  NOT_FOUND: "EXPORT_ENTRY_NOT_FOUND",
+});
+
+/**
+ * JSON 导出的结构
+ * @typedef {Object} PlainExport
+ * @property {string} format - 固定为 "totp-plain-export"
+ * @property {number} version - 结构版本，当前为 1
+ * @property {string} exported_at - 导出时间（ISO 8601）
+ * @property {string|null} vault - 来源密钥库名称
+ * @property {Array<PlainExportEntry>} entries - 导出的条目
+ */
+
+/**
+ * JSON 导出中的单个条目
+ * @typedef {Object} PlainExportEntry
+ * @property {string} id - 条目ID
+ * @property {string} name - 名称
+ * @property {string} platform - 平台（URL 或发行方）
+ * @property {string} description - 描述，通常为账户名
+ * @property {string} type - totp 或 hotp
+ * @property {string} secret - 无填充的大写 Base32 密钥
+ * @property {string} algorithm - HMAC 算法（SHA1/SHA256/SHA512）
+ * @property {number} digits - 验证码位数
+ * @property {number|null} period - 时间步长（秒），hotp 为 null
+ * @property {number|null} epoch - 起始时间T0（Unix秒），hotp 为 null
+ * @property {number|null} counter - 下一次使用的计数器，totp 为 null
+ * @property {Array<string>} tags - 标签
+ * @property {string|null} folder - 文件夹
+ * @property {boolean} favorite - 是否收藏
+ * @property {Object} meta - 附加元数据
+ * @property {string|null} uri - otpauth URI，参数无法用 URI 表示（如 T0 不为 0）时为 null
+ */
+
+/**
+ * 按ID与标签选择要导出的条目：匹配任一ID或带有任一标签的条目，两者都省略时选择全部
+ * @param {Array<Object>} entries - 完整的密钥条目
+ * @param {Object} [selection={}] - 选择条件
+ * @param {Array<string>} [selection.ids] - 条目ID
+ * @param {Array<string>} [selection.tags] - 标签
+ * @returns {Array<Object>} 选中的条目，保持原有顺序
+ * @throws {TypeError} 当条件不是字符串数组时
+ * @throws {Error} 当某个ID不存在时（code 为 EXPORT_ENTRY_NOT_FOUND）
+ */
+function select(entries, selection = {}) {
+  const { ids, tags } = selection;
+  for (const [field, value] of Object.entries({ ids, tags })) {
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== "string"))) {
+      throw new TypeError(`${field}: Expected an array of strings`);
+    }
+  }
+  if (!ids && !tags) {
+    return entries;
+  }
+
+  const missing = (ids ?? []).filter(id => !entries.some(entry => entry.id === id));
+  if (missing.length) {
+    throw Object.assign(new Error(`No keys with ids: ${missing.join(", ")}`), { code: ERROR_CODES.NOT_FOUND });
+  }
+  return entries.filter(entry =>
+    (ids ?? []).includes(entry.id) || (entry.tags ?? []).some(tag => (tags ?? []).includes(tag)));
+}
+
+/**
+ * 生成条目的 otpauth URI
+ * @param {Object} entry - 密钥条目
+ * @returns {{uri: string|null, reason: string|null}} URI；无法表示时 uri 为 null 并给出原因
+ * @private
+ */
+function uri_of(entry) {
+  try {
+    return { uri: otpauth.build(entry), reason: null };
+  } catch (error) {
+    return { uri: null, reason: error.message };
+  }
+}
+
+/**
+ * 转换为 JSON 导出中的条目，参数按默认值补全
+ * @param {Object} entry - 密钥条目
+ * @returns {PlainExportEntry} 导出条目
+ */
+function plain_entry(entry) {
+  const type = entry.type ?? "totp";
+  const options = totp.normalize_options(entry);
+  return {
+    id: entry.id,
+    name: entry.name ?? "",
+    platform: entry.platform ?? "",
+    description: entry.description ?? "",
+    type,
+    secret: entry.key,
+    algorithm: options.algorithm,
+    digits: options.digits,
+    period: type === "totp" ? options.period : null,
+    epoch: type === "totp" ? options.epoch : null,
+    counter: type === "hotp" ? entry.counter ?? 0 : null,
+    tags: entry.tags ?? [],
+    folder: entry.folder ?? null,
+    favorite: !!entry.favorite,
+    meta: entry.meta ?? {},
+    uri: uri_of(entry).uri,
+  };
+}
+
+/**
+ * 按 RFC 4180 转义 CSV 字段
+ * @param {*} value - 字段值，null 与 undefined 输出为空
+ * @returns {string} 转义后的字段
+ * @private
+ */
+function csv_field(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * 导出条目
+ * URI 列表每行一个 otpauth URI，无法用 URI 表示的条目不写入并列在 skipped 中；
+ * CSV 的列见 CSV_COLUMNS，标签以 ";" 分隔；JSON 的结构见 PlainExport
+ * @param {Array<Object>} entries - 要导出的完整条目（见 select）
+ * @param {string} format - 导出格式，见 FORMATS
+ * @param {Object} [info={}] - 附加信息
+ * @param {string} [info.vault] - 来源密钥库名称，写入 JSON 导出
+ * @returns {{content: string, content_type: string, extension: string, count: number,
+ *   skipped: Array<{id: string, name: string, reason: string}>}}
+ * 导出内容、MIME 类型、扩展名、写入的条目数量以及未写入的条目
+ * @throws {Error} 当格式不支持时（code 为 EXPORT_UNSUPPORTED_FORMAT）
+ * @example
+ * const { content } = exporter.render(exporter.select(entries, { tags: ["work"] }), "uris");
+ */
+function render(entries, format, info = {}) {
+  if (!Object.hasOwn(FORMATS, format)) {
+    throw Object.assign(new Error(`Unsupported export format "${format}", expected one of: ` +
+      `${Object.keys(FORMATS).join(", ")}`), { code: ERROR_CODES.UNSUPPORTED_FORMAT });
+  }
+
+  const plain = entries.map(plain_entry);
+  const skipped = [];
+  let content;
+  if (format === "uris") {
+    const lines = [];
+    entries.forEach((entry, index) => {
+      if (plain[index].uri) {
+        lines.push(plain[index].uri);
+      } else {
+        skipped.push({ id: entry.id, name: entry.name, reason: uri_of(entry).reason });
+      }
+    });
+    content = lines.length ? `${lines.join("\n")}\n` : "";
+  } else if (format === "csv") {
+    const rows = plain.map(entry => CSV_COLUMNS.map(column =>
+      csv_field(column === "tags" ? entry.tags.join(";") : entry[column])).join(","));
+    content = [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+  } else {
+    content = JSON.stringify({
+      format: JSON_FORMAT,
+      version: JSON_VERSION,
+      exported_at: new Date().toISOString(),
+      vault: info.vault ?? null,
+      entries: plain,
+    }, null, 2);
+  }
+
+  return { content, ...FORMATS[format], count: entries.length - skipped.length, skipped };
+}
+
+/**
+ * 明文导出模块导出
+ * @namespace Exporter
+ * @property {Function} select - 按ID与标签选择条目
+ * @property {Function} render - 导出条目
+ * @property {Function} plain_entry - 转换为 JSON 导出中的条目
+ * @property {Object} FORMATS - 支持的导出格式
+ * @property {number} JSON_VERSION - JSON 导出的结构版本
+ * @property {Object} ERROR_CODES - 错误码
+ */
+export default Object.freeze({
+  select,
+  render,
+  plain_entry,
+  FORMATS,
+  JSON_VERSION,
+  ERROR_CODES,
+});
\ No newline at end of file
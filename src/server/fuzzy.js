@@ -0,0 +1,186 @@
+/**
+ * @fileoverview 模糊匹配
+ * @description 为搜索提供容错的单词匹配与打分：依次尝试子串、子序列与编辑距离匹配，
+ * 返回得分以及可用于高亮的字符区间。区间为 [start, end)，以 UTF-16 下标计。
+ */
+
+"use strict";
+
+/**
+ * 各种匹配方式的基础得分
+ * @type {Object.<string, number>}
+ * @readonly
+ * @private
+ */
+const SCORES = Object.freeze({
+  EXACT: 120,
+  PREFIX: 100,
+  WORD_START: 90,
+  SUBSTRING: 70,
+  SUBSEQUENCE: 50,
+  TYPO: 40,
+});
+
+/**
+ * 把查询拆分为小写的检索词
+ * @param {string} query - 用户输入
+ * @returns {Array<string>} 检索词，查询为空时为空数组
+ */
+function tokenize(query) {
+  return String(query ?? "").toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * 切分文本中的单词（字母与数字的连续片段）
+ * @param {string} text - 小写文本
+ * @returns {Array<{word: string, start: number}>} 单词及其起始下标
+ * @private
+ */
+function words_of(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map((match) => ({ word: match[0], start: match.index }));
+}
+
+/**
+ * 计算受限的 Damerau-Levenshtein 距离（相邻交换算一次编辑），超过 limit 时提前返回
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @param {number} limit - 关心的最大距离
+ * @returns {number} 编辑距离，超过 limit 时返回 limit + 1
+ * @private
+ */
+function edit_distance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let row_min = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      row_min = Math.min(row_min, current[j]);
+    }
+    if (row_min > limit) return limit + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 按检索词长度决定允许的拼写错误数量
+ * @param {number} length - 检索词长度
+ * @returns {number} 允许的编辑距离
+ * @private
+ */
+function typo_limit(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * 在文本中查找检索词的子序列（字符按顺序出现但可以不连续），要求匹配足够紧凑
+ * @param {string} term - 小写检索词
+ * @param {string} text - 小写文本
+ * @returns {{span: number, ranges: Array<Array<number>>}|null} 匹配跨度与合并后的高亮区间，没有紧凑匹配时为 null
+ * @private
+ */
+function subsequence(term, text) {
+  let best = null;
+  for (let start = text.indexOf(term[0]); start !== -1; start = text.indexOf(term[0], start + 1)) {
+    const positions = [start];
+    for (let i = 1, at = start + 1; i < term.length; i++, at++) {
+      at = text.indexOf(term[i], at);
+      if (at === -1) break;
+      positions.push(at);
+    }
+    // 从更靠后的位置开始也不可能凑齐剩余字符
+    if (positions.length < term.length) break;
+    const span = positions[positions.length - 1] - start + 1;
+    if (span <= term.length * 2 && (!best || span < best.span)) {
+      best = { span, positions };
+    }
+  }
+  if (!best) return null;
+
+  const ranges = [];
+  for (const position of best.positions) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1]++;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  }
+  return { span: best.span, ranges };
+}
+
+/**
+ * 用单个检索词匹配一段文本
+ * 依次尝试：完全相同、前缀、单词开头、子串、紧凑的子序列、单词或单词前缀的拼写错误
+ * @param {string} term - 小写检索词
+ * @param {string} text - 原始文本（大小写不影响匹配）
+ * @returns {{score: number, ranges: Array<Array<number>>}|null} 得分与高亮区间，不匹配时为 null
+ * @example
+ * match("hub", "GitHub");    // { score: 70, ranges: [[3, 6]] }
+ * match("gthb", "GitHub");   // { score: 33, ranges: [[0, 1], [2, 4], [5, 6]] }（子序列）
+ * match("githbu", "GitHub"); // { score: 40, ranges: [[0, 6]] }（拼写错误）
+ */
+function match(term, text) {
+  const lower = String(text ?? "").toLowerCase();
+  if (!term || !lower) return null;
+
+  const index = lower.indexOf(term);
+  if (index !== -1) {
+    const ranges = [[index, index + term.length]];
+    if (lower === term) return { score: SCORES.EXACT, ranges };
+    if (index === 0) return { score: SCORES.PREFIX, ranges };
+
+    const word_start = words_of(lower).find(({ start }) => lower.startsWith(term, start));
+    if (word_start) {
+      return { score: SCORES.WORD_START, ranges: [[word_start.start, word_start.start + term.length]] };
+    }
+    return { score: SCORES.SUBSTRING, ranges };
+  }
+
+  if (term.length >= 3) {
+    const found = subsequence(term, lower);
+    if (found) {
+      return { score: Math.round(SCORES.SUBSEQUENCE * term.length / found.span), ranges: found.ranges };
+    }
+  }
+
+  const limit = typo_limit(term.length);
+  if (!limit) return null;
+
+  let best = null;
+  for (const { word, start } of words_of(lower)) {
+    const whole = edit_distance(term, word, limit);
+    const prefix = word.length > term.length ? edit_distance(term, word.slice(0, term.length), limit) : limit + 1;
+    const distance = Math.min(whole, prefix);
+    if (distance > limit) continue;
+
+    // 整词匹配的得分高于只匹配到单词前缀
+    const score = SCORES.TYPO - 10 * (distance - 1) - (whole > prefix ? 5 : 0);
+    const end = start + (whole > prefix ? term.length : word.length);
+    if (!best || score > best.score) {
+      best = { score, ranges: [[start, end]] };
+    }
+  }
+  return best;
+}
+
+/**
+ * 模糊匹配模块导出
+ * @namespace Fuzzy
+ * @property {Function} tokenize - 拆分查询
+ * @property {Function} match - 用单个检索词匹配文本
+ */
+export default Object.freeze({
+  tokenize,
+  match,
+});
\ No newline at end of file
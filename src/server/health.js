@@ -6,7 +6,7 @@
 
 /**
  * Array storing health status information for all services
- * @type {Array<{name: string, status: string, reason: string|null}>}
+ * @type {Array<{name: string, status: string, reason: string|null, details: Object|null}>}
  * @private
  */
 let health = [];
@@ -23,9 +23,11 @@ function is_healthy() {
  * Health array structure example:
  * @example
  * [
- *   { name: "service1", status: "ok", reason: null},
+ *   { name: "service1", status: "ok", reason: null, details: null },
  *   { name: "service2", status: "error", 
- *     reason: "TypeError: config `timeout` is not a number." },
+ *     reason: "TypeError: config `timeout` is not a number.", details: null },
+ *   { name: "vault:default", status: "ok", reason: null,
+ *     details: { locked: true, unlocked_at: null, expires_at: null, locked_reason: "idle" } },
  *   ...
  * ]
  */
@@ -35,13 +37,14 @@ function is_healthy() {
  * @param {string} name - The name of the service
  * @param {string} status - The status of the service (e.g., "ok", "error")
  * @param {string|null} [reason=null] - Optional reason for the status (especially for errors)
+ * @param {Object|null} [details=null] - Optional state that does not affect health (e.g. whether a vault is locked)
  */
-function push_health(name, status, reason = null) {
+function push_health(name, status, reason = null, details = null) {
     let index = health.findIndex((item) => item.name === name);
     if (index === -1) {
-        health.push({ name, status, reason });
+        health.push({ name, status, reason, details });
     } else {
-        health[index] = { name, status, reason };
+        health[index] = { name, status, reason, details };
     }
 }
 
@@ -55,7 +58,7 @@ function clear_health() {
 
 /**
  * Gets the current health status array
- * @returns {Array<{name: string, status: string, reason: string|null}>} Array of health status objects
+ * @returns {Array<{name: string, status: string, reason: string|null, details: Object|null}>} Array of health status objects
  */
 function get_health() {
     return health;
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview 密钥导入管道
+ * @description 自动识别导出文件格式，交给对应的导入器解析，规范化每条记录，
+ * 按调用方选择的方式处理与密钥库重复的记录，并生成逐条的导入报告。
+ * 导入器是带有 name、detect(input) 与 parse(input, options) 的对象，可通过 register 扩展。
+ */
+
+"use strict";
+
+import totp from "./totp.js";
+import secret_codec from "./secret.js";
+import aegis from "./importers/aegis.js";
+import twofas from "./importers/twofas.js";
+import andotp from "./importers/andotp.js";
+import bitwarden from "./importers/bitwarden.js";
+import uris from "./importers/uris.js";
+
+/**
+ * 导入管道错误码
+ * @type {Object.<string, string>}
+ * @property {string} UNKNOWN_FORMAT - 指定的格式不存在，或无法识别文件格式
+ * @property {string} INVALID_ARGUMENT - 选项非法，如未知的重复处理方式（与 totpmgr 的同名错误码相同）
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  UNKNOWN_FORMAT: "IMPORT_UNKNOWN_FORMAT",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+});
+
+/**
+ * 已注册的导入器，按顺序尝试识别
+ * @type {Array<{name: string, detect: Function, parse: Function}>}
+ * @private
+ */
+const importers = [aegis, twofas, andotp, bitwarden, uris];
+
+/**
+ * 注册导入器，新注册的导入器优先参与格式识别
+ * @param {Object} importer - 导入器
+ * @param {string} importer.name - 格式名称
+ * @param {Function} importer.detect - (input) => boolean，input 为已解析的 JSON 或原始文本
+ * @param {Function} importer.parse - async (input, options) => { entries, rejected }
+ * @throws {TypeError} 当导入器结构不完整或名称重复时
+ */
+function register(importer) {
+  if (!importer || typeof importer.name !== "string" ||
+    typeof importer.detect !== "function" || typeof importer.parse !== "function") {
+    throw new TypeError("An importer must have a name, a detect function and a parse function.");
+  }
+  if (importers.some((item) => item.name === importer.name)) {
+    throw new TypeError(`An importer named "${importer.name}" is already registered.`);
+  }
+  importers.unshift(importer);
+}
+
+/**
+ * 列出已注册的格式名称
+ * @returns {Array<string>} 格式名称
+ */
+function formats() {
+  return importers.map((importer) => importer.name);
+}
+
+/**
+ * 识别输入的格式
+ * @param {string|Object} input - 文件内容（文本或已解析的 JSON）
+ * @param {string} [format] - 指定格式名称，省略时自动识别
+ * @returns {{importer: Object, data: *}} 导入器以及交给它解析的数据
+ * @throws {Error} 当格式无法识别或指定的格式不存在时（code 为 IMPORT_UNKNOWN_FORMAT）
+ */
+function detect(input, format) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      data = input.trim();
+    }
+  }
+
+  if (format) {
+    const importer = importers.find((item) => item.name === format);
+    if (!importer) {
+      throw Object.assign(new Error(`Unknown import format "${format}", expected one of: ${formats().join(", ")}.`),
+        { code: ERROR_CODES.UNKNOWN_FORMAT });
+    }
+    return { importer, data };
+  }
+
+  const importer = importers.find((item) => item.detect(data));
+  if (!importer) {
+    throw Object.assign(new Error("Unrecognized import file format."), { code: ERROR_CODES.UNKNOWN_FORMAT });
+  }
+  return { importer, data };
+}
+
+/**
+ * 导入时重复条目的处理方式（totpmgr.DUPLICATE_MODES 中除 error 以外的方式，逐条记入报告）
+ * @type {Array<string>}
+ * @readonly
+ * @private
+ */
+const IMPORT_DUPLICATE_MODES = Object.freeze(["skip", "replace", "keep_both"]);
+
+/**
+ * 重复原因在报告中的说明
+ * @type {Object.<string, string>}
+ * @readonly
+ * @private
+ */
+const DUPLICATE_REASONS = Object.freeze({
+  secret: "secret is already in the vault",
+  identity: "an entry with the same issuer and account is already in the vault",
+});
+
+/**
+ * 规范化单条记录：密钥、issuer、账户名、标签、算法、位数与时间步长
+ * @param {Object} entry - 导入器产出的条目
+ * @returns {{entry: Object, warnings: Array<string>}} 规范化后的条目以及密钥警告
+ * @throws {Error} 当记录无法导入时
+ * @private
+ */
+function normalize(entry) {
+  if (entry.key === undefined || entry.key === null || entry.key === "") {
+    throw new Error("missing secret");
+  }
+  const type = entry.type ?? "totp";
+  const options = totp.normalize_options(entry);
+  const { secret, warnings } = secret_codec.normalize(String(entry.key));
+  const normalized = {
+    ...entry,
+    name: String(entry.name ?? "").trim(),
+    platform: String(entry.platform ?? "").trim(),
+    description: String(entry.description ?? "").trim(),
+    key: secret,
+    // 其他验证器中的分组（Aegis/2FAS 分组、andOTP 标签、Bitwarden 文件夹）作为标签导入
+    tags: entry.tags ?? (entry.meta?.groups ?? []).filter(group => typeof group === "string"),
+    type,
+    algorithm: options.algorithm,
+    digits: options.digits,
+  };
+  if (!normalized.name) {
+    normalized.name = normalized.platform || normalized.description;
+  }
+  return {
+    entry: type === "totp"
+      ? { ...normalized, period: options.period, epoch: options.epoch }
+      : { ...normalized, counter: entry.counter ?? 0 },
+    warnings,
+  };
+}
+
+/**
+ * 记录在报告中的显示名称
+ * @param {Object} entry - 条目
+ * @returns {string} 形如 "Issuer:account" 的名称
+ * @private
+ */
+function label_of(entry) {
+  const issuer = entry.name || entry.platform || "";
+  const account = entry.description || "";
+  return account && account !== issuer ? `${issuer}:${account}` : issuer || account || "(unnamed)";
+}
+
+/**
+ * 运行导入管道
+ * @param {Object} vault - 导入目标密钥库管理器，见 vaults.get
+ * @param {string|Object} input - 文件内容（文本或已解析的 JSON）
+ * @param {Object} [options={}] - 导入选项
+ * @param {string} [options.format] - 指定格式名称，省略时自动识别
+ * @param {string} [options.password] - 加密导出的密码
+ * @param {boolean} [options.dry_run=false] - 只生成报告，不写入密钥库
+ * @param {string} [options.on_duplicate="skip"] - 与密钥库中已有条目重复（密钥相同，或发行方与账户名相同）时
+ * 的处理方式：skip 跳过、replace 覆盖已有条目、keep_both 照常导入
+ * @returns {Promise<{format: string, dry_run: boolean,
+ *   counts: {imported: number, replaced: number, skipped: number, rejected: number},
+ *   report: Array<{label: string, status: string, reason: string|null}>}>}
+ * 导入结果；status 为 imported、replaced（覆盖了已有条目）、skipped（重复）或 rejected（无法导入），
+ * imported 与 replaced 条目的 reason 为密钥警告（如密钥过短）或重复说明，没有时为 null
+ * @throws {RangeError} 当重复处理方式未知时（code 为 INVALID_ARGUMENT）
+ * @throws {Error} 当格式无法识别、文件无法解析或写入失败时（code 为 VAULT_SAVE_FAILED）
+ * @example
+ * const result = await importer.run(vaults.get(), fs.readFileSync("backup.2fas", "utf8"), { dry_run: true });
+ * result.report.forEach(({ label, status, reason }) => console.log(status, label, reason ?? ""));
+ */
+async function run(vault, input, options = {}) {
+  const on_duplicate = options.on_duplicate ?? "skip";
+  if (!IMPORT_DUPLICATE_MODES.includes(on_duplicate)) {
+    throw Object.assign(
+      new RangeError(`Unknown duplicate mode "${on_duplicate}", expected one of: ${IMPORT_DUPLICATE_MODES.join(", ")}`),
+      { code: ERROR_CODES.INVALID_ARGUMENT });
+  }
+  const { importer, data } = detect(input, options.format);
+  const { entries, rejected } = await importer.parse(data, options);
+
+  const report = rejected.map((reason) => {
+    const separator = reason.indexOf(": ");
+    return separator === -1
+      ? { label: "(unknown)", status: "rejected", reason }
+      : { label: reason.slice(0, separator), status: "rejected", reason: reason.slice(separator + 2) };
+  });
+
+  const accepted = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    let normalized;
+    let warnings;
+    try {
+      ({ entry: normalized, warnings } = normalize(entry));
+    } catch (error) {
+      report.push({ label: label_of(entry), status: "rejected", reason: error.message });
+      continue;
+    }
+
+    const label = label_of(normalized);
+    if (seen.has(normalized.key)) {
+      report.push({ label, status: "skipped", reason: "duplicate of an earlier record in this file" });
+      continue;
+    }
+    const [duplicate] = await vault.find_duplicate(normalized);
+    if (duplicate && on_duplicate === "skip") {
+      report.push({ label, status: "skipped", reason: DUPLICATE_REASONS[duplicate.reason] });
+      continue;
+    }
+    seen.add(normalized.key);
+    accepted.push(normalized);
+
+    const notes = [...warnings];
+    if (duplicate && on_duplicate === "keep_both") {
+      notes.push(`kept although ${DUPLICATE_REASONS[duplicate.reason]}`);
+    } else if (duplicate) {
+      notes.push(`replaced the existing entry, ${DUPLICATE_REASONS[duplicate.reason]}`);
+    }
+    report.push({
+      label,
+      status: duplicate && on_duplicate === "replace" ? "replaced" : "imported",
+      reason: notes.length ? notes.join("; ") : null,
+    });
+  }
+
+  const dry_run = !!options.dry_run;
+  if (!dry_run && accepted.length) {
+    // 与密钥库的重复已在上面逐条处理，这里只需决定是否覆盖
+    await vault.add_totp_keys(accepted, { on_duplicate: on_duplicate === "replace" ? "replace" : "keep_both" });
+  }
+
+  const count = (status) => report.filter((item) => item.status === status).length;
+  return {
+    format: importer.name,
+    dry_run,
+    counts: {
+      imported: count("imported"),
+      replaced: count("replaced"),
+      skipped: count("skipped"),
+      rejected: count("rejected"),
+    },
+    report,
+  };
+}
+
+/**
+ * 导入管道模块导出
+ * @namespace Importer
+ * @property {Function} register - 注册导入器
+ * @property {Function} formats - 列出已注册的格式
+ * @property {Function} detect - 识别输入的格式
+ * @property {Function} run - 运行导入管道
+ * @property {Object} ERROR_CODES - 错误码
+ */
+export default Object.freeze({
+  register,
+  formats,
+  detect,
+  run,
+  ERROR_CODES,
+});
\ No newline at end of file
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Aegis 导出文件导入
+ * @description 解析 Aegis Authenticator 的 JSON 导出（明文或加密）。
+ * 加密导出使用密码槽：scrypt 派生密钥解开 AES-256-GCM 包裹的主密钥，
+ * 再用主密钥以 AES-256-GCM 解密数据库。
+ */
+
+"use strict";
+
+import crypto from "crypto";
+
+/**
+ * Aegis 导入错误码
+ * @type {Object.<string, string>}
+ * @property {string} INVALID_FILE - 文件结构不是 Aegis 导出
+ * @property {string} PASSWORD_REQUIRED - 文件已加密但未提供密码
+ * @property {string} WRONG_PASSWORD - 密码无法解开任何密码槽
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  INVALID_FILE: "AEGIS_INVALID_FILE",
+  PASSWORD_REQUIRED: "AEGIS_PASSWORD_REQUIRED",
+  WRONG_PASSWORD: "AEGIS_WRONG_PASSWORD",
+});
+
+/**
+ * Aegis 密码槽类型
+ * @type {number}
+ * @private
+ */
+const SLOT_TYPE_PASSWORD = 1;
+
+/**
+ * 密码槽 scrypt 参数的允许范围（含两端）。参数来自上传的文件，
+ * 不加限制时一个很小的文件就能让服务器分配数 GB 内存或长时间占用 CPU；
+ * Aegis 默认使用 N=2^15、r=8、p=1
+ * @type {Object.<string, Array<number>>}
+ * @private
+ */
+const SCRYPT_LIMITS = Object.freeze({ n: [2, 2 ** 17], r: [1, 8], p: [1, 4] });
+
+/**
+ * scrypt 的内存上限：允许范围内最大参数所需内存（128·N·r 字节）的两倍
+ * @type {number}
+ * @private
+ */
+const SCRYPT_MAXMEM = 2 * 128 * SCRYPT_LIMITS.n[1] * SCRYPT_LIMITS.r[1];
+
+/**
+ * 最多尝试的密码槽数量。每个槽都要运行一次 scrypt，槽的数量同样来自上传的文件
+ * @type {number}
+ * @private
+ */
+const MAX_PASSWORD_SLOTS = 8;
+
+/**
+ * 创建带错误码的错误对象
+ * @param {string} code - ERROR_CODES 中的错误码
+ * @param {string} message - 错误描述
+ * @returns {Error} 带 code 属性的错误
+ * @private
+ */
+function aegis_error(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * 使用 AES-256-GCM 解密
+ * @param {Buffer} key - 32 字节密钥
+ * @param {Object} params - 包含十六进制 nonce 与 tag 的参数
+ * @param {Buffer} ciphertext - 密文
+ * @returns {Buffer} 明文
+ * @throws {Error} 当认证失败时
+ * @private
+ */
+function gcm_decrypt(key, params, ciphertext) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(params.nonce, "hex"));
+  decipher.setAuthTag(Buffer.from(params.tag, "hex"));
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * 检查密码槽的 scrypt 参数是否在 SCRYPT_LIMITS 范围内，N 还必须是 2 的幂
+ * @param {Object} slot - 密码槽
+ * @returns {boolean} 参数是否可以接受
+ * @private
+ */
+function scrypt_params_ok(slot) {
+  const in_range = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+  return in_range(slot.n, SCRYPT_LIMITS.n) && (slot.n & (slot.n - 1)) === 0 &&
+    in_range(slot.r, SCRYPT_LIMITS.r) && in_range(slot.p, SCRYPT_LIMITS.p);
+}
+
+/**
+ * 使用 scrypt 从密码派生密钥
+ * @param {string} password - 密码
+ * @param {Object} slot - 密码槽，包含 n、r、p 与十六进制 salt，参数须先经 scrypt_params_ok 检查
+ * @returns {Promise<Buffer>} 32 字节派生密钥
+ * @private
+ */
+function scrypt(password, slot) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(slot.salt, "hex"), 32, {
+      N: slot.n,
+      r: slot.r,
+      p: slot.p,
+      maxmem: SCRYPT_MAXMEM,
+    }, (err, derived_key) => err ? reject(err) : resolve(derived_key));
+  });
+}
+
+/**
+ * 用密码依次尝试各个密码槽，解出主密钥
+ * @param {Object} header - 导出文件的 header
+ * @param {string} password - 密码
+ * @returns {Promise<Buffer>} 主密钥
+ * @throws {Error} 当没有密码槽、密码槽过多或参数超出范围（AEGIS_INVALID_FILE）或密码错误时（AEGIS_WRONG_PASSWORD）
+ * @private
+ */
+async function unlock_master_key(header, password) {
+  const slots = (header.slots ?? []).filter((slot) => slot.type === SLOT_TYPE_PASSWORD);
+  if (slots.length === 0) {
+    throw aegis_error(ERROR_CODES.INVALID_FILE, "The Aegis vault has no password slot.");
+  }
+  if (slots.length > MAX_PASSWORD_SLOTS) {
+    throw aegis_error(ERROR_CODES.INVALID_FILE,
+      `The Aegis vault has ${slots.length} password slots, at most ${MAX_PASSWORD_SLOTS} are supported.`);
+  }
+  // 先检查全部槽的参数，任何一个超出范围时不运行 scrypt
+  const unsupported = slots.find((slot) => !scrypt_params_ok(slot));
+  if (unsupported) {
+    throw aegis_error(ERROR_CODES.INVALID_FILE, "Unsupported scrypt parameters in the Aegis password slot " +
+      `(N=${unsupported.n}, r=${unsupported.r}, p=${unsupported.p}).`);
+  }
+
+  for (const slot of slots) {
+    const derived = await scrypt(password, slot);
+    try {
+      return gcm_decrypt(derived, slot.key_params, Buffer.from(slot.key, "hex"));
+    } catch {
+      // 认证失败说明密码不属于该槽，继续尝试下一个
+    }
+  }
+  throw aegis_error(ERROR_CODES.WRONG_PASSWORD, "Wrong password for the Aegis vault.");
+}
+
+/**
+ * 将 Aegis 条目转换为密钥条目
+ * @param {Object} item - Aegis 数据库中的条目
+ * @param {Object.<string, string>} groups - 分组 uuid 到名称的映射
+ * @returns {{entry: Object|null, error: string|null}} 条目；无法导入时 entry 为 null 并给出原因
+ * @private
+ */
+function convert_entry(item, groups) {
+  const issuer = (item.issuer ?? "").trim();
+  const account = (item.name ?? "").trim();
+  const label = issuer ? `${issuer}:${account}` : account || "(unnamed)";
+  const info = item.info ?? {};
+
+  if (item.type !== "totp" && item.type !== "hotp") {
+    return { entry: null, error: `${label}: unsupported entry type (${item.type})` };
+  }
+  if (!info.secret) {
+    return { entry: null, error: `${label}: missing secret` };
+  }
+
+  // db 版本 2 使用 group 字符串，版本 3 使用 groups uuid 数组
+  const group_names = Array.isArray(item.groups)
+    ? item.groups.map((uuid) => groups[uuid]).filter(Boolean)
+    : (item.group ? [item.group] : []);
+
+  const meta = { source: "aegis" };
+  if (item.note) meta.note = item.note;
+  if (group_names.length) meta.groups = group_names;
+  if (item.icon) meta.icon = { mime: item.icon_mime ?? "image/png", data: item.icon };
+
+  const entry = {
+    name: issuer || account,
+    platform: issuer,
+    description: account,
+    key: String(info.secret).replace(/[\s=]/g, "").toUpperCase(),
+    type: item.type,
+    algorithm: info.algo ?? "SHA1",
+    digits: info.digits ?? 6,
+    favorite: item.favorite === true,
+    meta,
+  };
+  return {
+    entry: item.type === "totp"
+      ? { ...entry, period: info.period ?? 30, epoch: 0 }
+      : { ...entry, counter: info.counter ?? 0 },
+    error: null,
+  };
+}
+
+/**
+ * 判断输入是否为 Aegis 导出
+ * @param {*} input - 已解析的 JSON 或原始文本
+ * @returns {boolean} 是否为 Aegis 导出
+ */
+function detect(input) {
+  return !!input && typeof input === "object" && !Array.isArray(input) &&
+    !!input.header && "db" in input;
+}
+
+/**
+ * 解析 Aegis 导出文件
+ * @param {string|Object} file - 导出文件内容（JSON 字符串或已解析的对象）
+ * @param {Object} [options={}] - 解析选项
+ * @param {string} [options.password] - 加密导出的密码，明文导出可省略
+ * @returns {Promise<{encrypted: boolean, entries: Array<Object>, rejected: Array<string>}>}
+ * 可导入的条目以及被拒绝条目的原因
+ * @throws {Error} 当文件结构非法（AEGIS_INVALID_FILE）、缺少密码（AEGIS_PASSWORD_REQUIRED）
+ * 或密码错误（AEGIS_WRONG_PASSWORD）时
+ * @example
+ * const { entries } = await aegis.parse(fs.readFileSync("aegis-export.json", "utf8"), { password: "secret" });
+ * await totpmgr.add_totp_keys(entries);
+ */
+async function parse(file, options = {}) {
+  const { password } = options;
+  let vault = file;
+  if (typeof file === "string") {
+    try {
+      vault = JSON.parse(file);
+    } catch {
+      throw aegis_error(ERROR_CODES.INVALID_FILE, "The Aegis export is not valid JSON.");
+    }
+  }
+  if (!vault || typeof vault !== "object" || !vault.header || vault.db === undefined) {
+    throw aegis_error(ERROR_CODES.INVALID_FILE, "The file is not an Aegis export.");
+  }
+
+  const encrypted = typeof vault.db === "string";
+  let db = vault.db;
+  if (encrypted) {
+    if (typeof password !== "string" || !password) {
+      throw aegis_error(ERROR_CODES.PASSWORD_REQUIRED, "The Aegis export is encrypted, a password is required.");
+    }
+    const master_key = await unlock_master_key(vault.header, password);
+    try {
+      db = JSON.parse(gcm_decrypt(master_key, vault.header.params, Buffer.from(vault.db, "base64")).toString("utf8"));
+    } catch {
+      throw aegis_error(ERROR_CODES.INVALID_FILE, "The Aegis database could not be decrypted.");
+    }
+  }
+
+  if (!db || !Array.isArray(db.entries)) {
+    throw aegis_error(ERROR_CODES.INVALID_FILE, "The Aegis database has no entries.");
+  }
+
+  const groups = Object.fromEntries((db.groups ?? []).map((group) => [group.uuid, group.name]));
+  const entries = [];
+  const rejected = [];
+  for (const item of db.entries) {
+    const { entry, error } = convert_entry(item, groups);
+    if (entry) entries.push(entry);
+    else rejected.push(error);
+  }
+
+  return { encrypted, entries, rejected };
+}
+
+/**
+ * Aegis 导入模块导出
+ * @namespace AegisImporter
+ * @property {string} name - 格式名称
+ * @property {Function} detect - 判断输入是否为该格式
+ * @property {Function} parse - 解析 Aegis 导出文件
+ * @property {Object} ERROR_CODES - 错误码
+ */
+export default Object.freeze({
+  name: "aegis",
+  detect,
+  parse,
+  ERROR_CODES,
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview andOTP 备份文件导入
+ * @description 解析 andOTP 的明文 JSON 备份（条目数组）。
+ */
+
+"use strict";
+
+/**
+ * 判断输入是否为 andOTP 备份
+ * @param {*} input - 已解析的 JSON 或原始文本
+ * @returns {boolean} 是否为 andOTP 备份
+ */
+function detect(input) {
+  return Array.isArray(input) && input.length > 0 &&
+    input.every((item) => item && typeof item === "object" && "secret" in item && "type" in item);
+}
+
+/**
+ * 解析 andOTP 备份
+ * @param {Array<Object>} input - 已解析的 JSON
+ * @returns {Promise<{entries: Array<Object>, rejected: Array<string>}>} 可导入的条目以及被拒绝条目的原因
+ */
+async function parse(input) {
+  const entries = [];
+  const rejected = [];
+  for (const item of input) {
+    const issuer = (item.issuer ?? "").trim();
+    const account = (item.label ?? "").trim();
+    const label = issuer ? `${issuer}:${account}` : account || "(unnamed)";
+    const type = String(item.type).toLowerCase();
+
+    if (type !== "totp" && type !== "hotp") {
+      rejected.push(`${label}: unsupported token type (${item.type})`);
+      continue;
+    }
+    if (!item.secret) {
+      rejected.push(`${label}: missing secret`);
+      continue;
+    }
+
+    const meta = { source: "andotp" };
+    if (Array.isArray(item.tags) && item.tags.length) meta.groups = item.tags;
+
+    const entry = {
+      name: issuer || account,
+      platform: issuer,
+      description: account,
+      key: item.secret,
+      type,
+      algorithm: item.algorithm ?? "SHA1",
+      digits: item.digits ?? 6,
+      meta,
+    };
+    entries.push(type === "totp"
+      ? { ...entry, period: item.period ?? 30, epoch: 0 }
+      : { ...entry, counter: item.counter ?? 0 });
+  }
+
+  return { entries, rejected };
+}
+
+/**
+ * andOTP 导入模块导出
+ * @namespace AndOTPImporter
+ * @property {string} name - 格式名称
+ * @property {Function} detect - 判断输入是否为该格式
+ * @property {Function} parse - 解析备份
+ */
+export default Object.freeze({
+  name: "andotp",
+  detect,
+  parse,
+});
\ No newline at end of file
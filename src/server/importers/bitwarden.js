@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Bitwarden 导出文件导入
+ * @description 解析 Bitwarden 的明文 JSON 与 CSV 导出，只导入带有 TOTP 字段的登录项。
+ * TOTP 字段可以是 otpauth URI，也可以是裸的 Base32 密钥。
+ */
+
+"use strict";
+
+import otpauth from "../otpauth.js";
+
+/**
+ * Bitwarden 登录项类型
+ * @type {number}
+ * @private
+ */
+const ITEM_TYPE_LOGIN = 1;
+
+/**
+ * 解析 CSV 文本（RFC 4180，支持引号与引号内换行）
+ * @param {string} text - CSV 文本
+ * @returns {Array<Array<string>>} 行数组
+ * @private
+ */
+function parse_csv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * 将 CSV 导出转换为与 JSON 导出相同的结构
+ * @param {string} text - CSV 文本
+ * @returns {Array<Object>} 条目数组
+ * @private
+ */
+function csv_items(text) {
+  const [header, ...rows] = parse_csv(text.replace(/^\uFEFF/, ""));
+  const column = (name) => header.indexOf(name);
+  return rows.map((cells) => ({
+    type: cells[column("type")] === "login" ? ITEM_TYPE_LOGIN : 0,
+    name: cells[column("name")] ?? "",
+    notes: cells[column("notes")] ?? "",
+    folder: cells[column("folder")] ?? "",
+    favorite: cells[column("favorite")] === "1",
+    login: {
+      username: cells[column("login_username")] ?? "",
+      uris: (cells[column("login_uri")] ?? "").split(",").filter(Boolean).map((uri) => ({ uri })),
+      totp: cells[column("login_totp")] ?? "",
+    },
+  }));
+}
+
+/**
+ * 判断输入是否为 Bitwarden 导出
+ * @param {*} input - 已解析的 JSON 或原始文本
+ * @returns {boolean} 是否为 Bitwarden 导出
+ */
+function detect(input) {
+  if (typeof input === "string") {
+    const header = input.replace(/^\uFEFF/, "").split(/\r?\n/, 1)[0];
+    return header.split(",").includes("login_totp");
+  }
+  return !!input && typeof input === "object" && !Array.isArray(input) && Array.isArray(input.items);
+}
+
+/**
+ * 解析 Bitwarden 导出
+ * @param {Object|string} input - 已解析的 JSON 导出或 CSV 文本
+ * @returns {Promise<{entries: Array<Object>, rejected: Array<string>}>} 可导入的条目以及被拒绝条目的原因
+ * @throws {Error} 当导出文件已加密时
+ */
+async function parse(input) {
+  if (typeof input === "object" && input.encrypted) {
+    throw new Error("Encrypted Bitwarden exports are not supported, export again as plain JSON or CSV.");
+  }
+
+  const folders = Object.fromEntries((input.folders ?? []).map((folder) => [folder.id, folder.name]));
+  const items = typeof input === "string" ? csv_items(input) : input.items;
+
+  const entries = [];
+  const rejected = [];
+  for (const item of items) {
+    const totp_field = (item.login?.totp ?? "").trim();
+    if (item.type !== ITEM_TYPE_LOGIN || !totp_field) {
+      continue;
+    }
+
+    const name = (item.name ?? "").trim();
+    const account = (item.login.username ?? "").trim();
+    const label = account ? `${name}:${account}` : name || "(unnamed)";
+    const folder = item.folder || folders[item.folderId];
+    const favorite = item.favorite === true;
+
+    const meta = { source: "bitwarden" };
+    if (folder) meta.groups = [folder];
+    if (item.notes) meta.note = item.notes;
+
+    if (/^steam:\/\//i.test(totp_field)) {
+      rejected.push(`${label}: unsupported token type (steam)`);
+      continue;
+    }
+
+    if (/^otpauth:\/\//i.test(totp_field)) {
+      try {
+        const entry = otpauth.parse(totp_field);
+        entries.push({ ...entry, description: entry.description || account, favorite, meta });
+      } catch (error) {
+        rejected.push(`${label}: ${error.message}`);
+      }
+      continue;
+    }
+
+    entries.push({
+      name,
+      platform: item.login.uris?.[0]?.uri ?? name,
+      description: account,
+      key: totp_field,
+      type: "totp",
+      favorite,
+      meta,
+    });
+  }
+
+  return { entries, rejected };
+}
+
+/**
+ * Bitwarden 导入模块导出
+ * @namespace BitwardenImporter
+ * @property {string} name - 格式名称
+ * @property {Function} detect - 判断输入是否为该格式
+ * @property {Function} parse - 解析导出
+ */
+export default Object.freeze({
+  name: "bitwarden",
+  detect,
+  parse,
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview 2FAS 备份文件导入
+ * @description 解析 2FAS Authenticator 的 `.2fas` JSON 备份（未加密）。
+ */
+
+"use strict";
+
+/**
+ * 判断输入是否为 2FAS 备份
+ * @param {*} input - 已解析的 JSON 或原始文本
+ * @returns {boolean} 是否为 2FAS 备份
+ */
+function detect(input) {
+  return !!input && typeof input === "object" && !Array.isArray(input) &&
+    "schemaVersion" in input && (Array.isArray(input.services) || "servicesEncrypted" in input);
+}
+
+/**
+ * 解析 2FAS 备份
+ * @param {Object} input - 已解析的 JSON
+ * @returns {Promise<{entries: Array<Object>, rejected: Array<string>}>} 可导入的条目以及被拒绝条目的原因
+ * @throws {Error} 当备份已加密时
+ */
+async function parse(input) {
+  if (input.servicesEncrypted) {
+    throw new Error("Encrypted 2FAS backups are not supported, export again without a password.");
+  }
+
+  const groups = Object.fromEntries((input.groups ?? []).map((group) => [group.id, group.name]));
+  const entries = [];
+  const rejected = [];
+  for (const service of input.services) {
+    const otp = service.otp ?? {};
+    const issuer = (otp.issuer || service.name || "").trim();
+    const account = (otp.account || otp.label || "").trim();
+    const label = account ? `${issuer}:${account}` : issuer || "(unnamed)";
+    const type = String(otp.tokenType ?? "TOTP").toLowerCase();
+
+    if (type !== "totp" && type !== "hotp") {
+      rejected.push(`${label}: unsupported token type (${otp.tokenType})`);
+      continue;
+    }
+    if (!service.secret) {
+      rejected.push(`${label}: missing secret`);
+      continue;
+    }
+
+    const meta = { source: "2fas" };
+    if (groups[service.groupId]) meta.groups = [groups[service.groupId]];
+
+    const entry = {
+      name: issuer || account,
+      platform: issuer,
+      description: account,
+      key: service.secret,
+      type,
+      algorithm: otp.algorithm ?? "SHA1",
+      digits: otp.digits ?? 6,
+      meta,
+    };
+    entries.push(type === "totp"
+      ? { ...entry, period: otp.period ?? 30, epoch: 0 }
+      : { ...entry, counter: otp.counter ?? 0 });
+  }
+
+  return { entries, rejected };
+}
+
+/**
+ * 2FAS 导入模块导出
+ * @namespace TwoFASImporter
+ * @property {string} name - 格式名称
+ * @property {Function} detect - 判断输入是否为该格式
+ * @property {Function} parse - 解析备份
+ */
+export default Object.freeze({
+  name: "2fas",
+  detect,
+  parse,
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview otpauth URI 列表导入
+ * @description 解析每行一个的 otpauth:// 或 otpauth-migration:// URI 文本。
+ */
+
+"use strict";
+
+import otpauth from "../otpauth.js";
+import migration from "../migration.js";
+
+/**
+ * 按行拆分并去掉空行
+ * @param {string} text - 原始文本
+ * @returns {Array<string>} 非空行
+ * @private
+ */
+function lines_of(text) {
+  return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * 判断输入是否为 URI 列表
+ * @param {*} input - 已解析的 JSON 或原始文本
+ * @returns {boolean} 是否为 URI 列表
+ */
+function detect(input) {
+  if (typeof input !== "string") return false;
+  const lines = lines_of(input);
+  return lines.length > 0 && lines.every((line) => /^otpauth(-migration)?:\/\//i.test(line));
+}
+
+/**
+ * 解析 URI 列表；迁移 URI 会合并为一次导出处理
+ * @param {string} input - 每行一个 URI 的文本
+ * @returns {Promise<{entries: Array<Object>, rejected: Array<string>}>} 可导入的条目以及被拒绝条目的原因
+ * @throws {Error} 当迁移 URI 来自不同导出或重复时
+ */
+async function parse(input) {
+  const lines = lines_of(input);
+  const migrations = lines.filter((line) => /^otpauth-migration:/i.test(line));
+
+  const entries = [];
+  const rejected = [];
+  for (const line of lines.filter((line) => !/^otpauth-migration:/i.test(line))) {
+    try {
+      entries.push(otpauth.parse(line));
+    } catch (error) {
+      rejected.push(`${line.split("?")[0]}: ${error.message}`);
+    }
+  }
+
+  if (migrations.length) {
+    const result = migration.combine(migrations);
+    entries.push(...result.entries);
+    rejected.push(...result.rejected);
+    if (result.missing.length) {
+      rejected.push(`migration batches ${result.missing.map((index) => index + 1).join(", ")} ` +
+        `of ${result.batch_size} were not supplied`);
+    }
+  }
+
+  return { entries, rejected };
+}
+
+/**
+ * URI 列表导入模块导出
+ * @namespace URIListImporter
+ * @property {string} name - 格式名称
+ * @property {Function} detect - 判断输入是否为该格式
+ * @property {Function} parse - 解析 URI 列表
+ */
+export default Object.freeze({
+  name: "otpauth",
+  detect,
+  parse,
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Google Authenticator 迁移二维码解析
+ * @description 解析 Google Authenticator "转移账号" 导出的
+ * `otpauth-migration://offline?data=...` URI。data 是 base64 编码的 protobuf，
+ * 一个载荷包含多个账号，账号较多时会拆分成多个二维码（batch）。
+ */
+
+"use strict";
+
+import secret_codec from "./secret.js";
+
+/**
+ * protobuf 中 Algorithm 枚举到算法名称的映射，MD5 不受支持
+ * @type {Object.<number, string>}
+ * @readonly
+ * @private
+ */
+const ALGORITHMS = Object.freeze({ 0: "SHA1", 1: "SHA1", 2: "SHA256", 3: "SHA512", 4: "MD5" });
+
+/**
+ * protobuf 中 DigitCount 枚举到位数的映射
+ * @type {Object.<number, number>}
+ * @readonly
+ * @private
+ */
+const DIGITS = Object.freeze({ 0: 6, 1: 6, 2: 8 });
+
+/**
+ * protobuf 中 OtpType 枚举到密钥类型的映射
+ * @type {Object.<number, string>}
+ * @readonly
+ * @private
+ */
+const TYPES = Object.freeze({ 0: "totp", 1: "hotp", 2: "totp" });
+
+/**
+ * 一次导出最多拆分的二维码数量。batch_size 来自载荷，合并时按它列出缺少的批次，
+ * 不加限制时几个字节的载荷就能让服务器分配巨大的数组
+ * @type {number}
+ * @private
+ */
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * 抛出带统一前缀的解析错误
+ * @param {string} message - 错误描述
+ * @throws {Error} 总是抛出
+ * @private
+ */
+function fail(message) {
+  throw new Error(`Invalid migration payload: ${message}`);
+}
+
+/**
+ * 最小化的 protobuf 读取器，只支持本格式用到的 varint 与 length-delimited 字段
+ * @param {Buffer} buffer - protobuf 二进制内容
+ * @returns {Array<{field: number, value: number|Buffer}>} 按出现顺序排列的字段
+ * @private
+ */
+function read_fields(buffer) {
+  const fields = [];
+  let pos = 0;
+
+  const read_varint = () => {
+    let result = 0;
+    let shift = 0;
+    for (;;) {
+      if (pos >= buffer.length) fail("truncated varint");
+      const byte = buffer[pos++];
+      // 超过 2^53 的部分对计数器和枚举没有意义，直接按浮点累加
+      result += (byte & 0x7f) * Math.pow(2, shift);
+      if (!(byte & 0x80)) return result;
+      shift += 7;
+      if (shift > 63) fail("varint is too long");
+    }
+  };
+
+  while (pos < buffer.length) {
+    const tag = read_varint();
+    const field = Math.floor(tag / 8);
+    const wire_type = tag & 0x07;
+
+    if (wire_type === 0) {
+      fields.push({ field, value: read_varint() });
+    } else if (wire_type === 2) {
+      const length = read_varint();
+      if (pos + length > buffer.length) fail("truncated field");
+      fields.push({ field, value: buffer.subarray(pos, pos + length) });
+      pos += length;
+    } else if (wire_type === 1) {
+      pos += 8;
+    } else if (wire_type === 5) {
+      pos += 4;
+    } else {
+      fail(`unsupported wire type ${wire_type}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * 解析单个 OtpParameters 消息为密钥条目
+ * @param {Buffer} buffer - OtpParameters 二进制内容
+ * @returns {{entry: Object|null, error: string|null}} 条目；无法导入时 entry 为 null 并给出原因
+ * @private
+ */
+function read_otp_parameters(buffer) {
+  const otp = { secret: null, name: "", issuer: "", algorithm: 0, digits: 0, type: 0, counter: 0 };
+  for (const { field, value } of read_fields(buffer)) {
+    if (field === 1) otp.secret = value;
+    else if (field === 2) otp.name = value.toString("utf8");
+    else if (field === 3) otp.issuer = value.toString("utf8");
+    else if (field === 4) otp.algorithm = value;
+    else if (field === 5) otp.digits = value;
+    else if (field === 6) otp.type = value;
+    else if (field === 7) otp.counter = value;
+  }
+
+  // name 通常是 "Issuer:account"，与 otpauth URI 的 label 一致
+  const separator = otp.name.indexOf(":");
+  const account = (separator === -1 ? otp.name : otp.name.slice(separator + 1)).trim();
+  const issuer = otp.issuer.trim() || (separator === -1 ? "" : otp.name.slice(0, separator).trim());
+
+  const algorithm = ALGORITHMS[otp.algorithm];
+  const digits = DIGITS[otp.digits];
+  const type = TYPES[otp.type];
+  const label = issuer ? `${issuer}:${account}` : account;
+
+  let error = null;
+  if (!otp.secret || otp.secret.length === 0) error = "missing secret";
+  else if (!algorithm || algorithm === "MD5") error = `unsupported algorithm (${algorithm ?? otp.algorithm})`;
+  else if (!digits) error = `unsupported digit count (${otp.digits})`;
+  else if (!type) error = `unsupported OTP type (${otp.type})`;
+  if (error) {
+    return { entry: null, error: `${label || "(unnamed)"}: ${error}` };
+  }
+
+  const entry = {
+    name: issuer || account,
+    platform: issuer,
+    description: account,
+    key: secret_codec.encode_base32(otp.secret),
+    type,
+    algorithm,
+    digits,
+  };
+  return {
+    entry: type === "totp" ? { ...entry, period: 30, epoch: 0 } : { ...entry, counter: otp.counter },
+    error: null,
+  };
+}
+
+/**
+ * 解析单个 otpauth-migration URI
+ * @param {string} uri - otpauth-migration://offline?data=... 格式的 URI
+ * @returns {{version: number, batch_size: number, batch_index: number, batch_id: number,
+ *   entries: Array<Object>, rejected: Array<string>}} 批次信息、可导入的条目以及被拒绝条目的原因
+ * @throws {Error} 当 URI 或载荷格式非法，或批次信息超出范围时（batch_size 为 1~MAX_BATCH_SIZE，
+ * batch_index 小于 batch_size）
+ */
+function parse(uri) {
+  if (typeof uri !== "string") {
+    fail(`expected a string, but got ${typeof uri}`);
+  }
+
+  let url;
+  try {
+    url = new URL(uri.trim());
+  } catch {
+    fail("not a valid URI");
+  }
+  if (url.protocol !== "otpauth-migration:" || url.hostname !== "offline") {
+    fail("expected an otpauth-migration://offline URI");
+  }
+
+  // data 中的 "+" 常被当作空格解码，这里还原后再按 base64 解析
+  const data = (url.searchParams.get("data") ?? "").replace(/ /g, "+");
+  if (!data || !/^[A-Za-z0-9+/_-]+=*$/.test(data)) {
+    fail("missing or malformed `data` parameter");
+  }
+
+  const payload = {
+    version: 0, batch_size: 1, batch_index: 0, batch_id: 0,
+    entries: [], rejected: [],
+  };
+  for (const { field, value } of read_fields(Buffer.from(data, "base64"))) {
+    if (field === 1 && Buffer.isBuffer(value)) {
+      const { entry, error } = read_otp_parameters(value);
+      if (entry) payload.entries.push(entry);
+      else payload.rejected.push(error);
+    } else if (field === 2) payload.version = value;
+    else if (field === 3) payload.batch_size = value;
+    else if (field === 4) payload.batch_index = value;
+    else if (field === 5) payload.batch_id = value;
+  }
+
+  const { batch_size, batch_index } = payload;
+  if (!Number.isInteger(batch_size) || batch_size < 1 || batch_size > MAX_BATCH_SIZE) {
+    fail(`batch size must be between 1 and ${MAX_BATCH_SIZE}, but got ${batch_size}`);
+  }
+  if (!Number.isInteger(batch_index) || batch_index >= batch_size) {
+    fail(`batch index ${batch_index} is out of range for a batch of ${batch_size}`);
+  }
+  return payload;
+}
+
+/**
+ * 合并同一次导出的多个迁移 URI，并检查批次是否完整
+ * @param {Array<string>} uris - 一个或多个 otpauth-migration URI
+ * @returns {{batch_id: number, batch_size: number, received: Array<number>, missing: Array<number>,
+ *   entries: Array<Object>, rejected: Array<string>}} 合并结果，missing 为缺少的批次序号
+ * @throws {Error} 当 URI 非法、来自不同的导出或批次重复时
+ * @example
+ * const result = migration.combine([uri1, uri2]);
+ * if (result.missing.length) console.log("Scan the remaining codes:", result.missing);
+ */
+function combine(uris) {
+  if (!Array.isArray(uris) || uris.length === 0) {
+    fail("expected a non-empty array of URIs");
+  }
+
+  const payloads = uris.map(parse);
+  const { batch_id, batch_size } = payloads[0];
+  const received = [];
+  for (const payload of payloads) {
+    if (payload.batch_id !== batch_id || payload.batch_size !== batch_size) {
+      fail("the QR codes come from different exports");
+    }
+    if (received.includes(payload.batch_index)) {
+      fail(`batch ${payload.batch_index + 1} of ${batch_size} was supplied twice`);
+    }
+    received.push(payload.batch_index);
+  }
+
+  const missing = [];
+  for (let index = 0; index < batch_size; index++) {
+    if (!received.includes(index)) missing.push(index);
+  }
+
+  payloads.sort((a, b) => a.batch_index - b.batch_index);
+  return {
+    batch_id,
+    batch_size,
+    received: received.sort((a, b) => a - b),
+    missing,
+    entries: payloads.flatMap((payload) => payload.entries),
+    rejected: payloads.flatMap((payload) => payload.rejected),
+  };
+}
+
+/**
+ * Google Authenticator 迁移模块导出
+ * @namespace Migration
+ * @property {Function} parse - 解析单个迁移 URI
+ * @property {Function} combine - 合并多个迁移 URI 并检查批次
+ */
+export default Object.freeze({
+  parse,
+  combine,
+});
\ No newline at end of file
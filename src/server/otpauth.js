@@ -0,0 +1,215 @@
+/**
+ * @fileoverview otpauth:// URI 解析与生成
+ * @description 按 Google Authenticator Key Uri Format 解析 otpauth URI 为密钥条目，
+ * 以及由密钥条目生成 otpauth URI。
+ * 条目映射：issuer → platform，账户名 → description，name 取 issuer（没有时取账户名）。
+ */
+
+"use strict";
+
+import totp from "./totp.js";
+import secret_codec from "./secret.js";
+
+/**
+ * 解析时允许出现的查询参数
+ * @type {Array<string>}
+ * @readonly
+ * @private
+ */
+const KNOWN_PARAMS = Object.freeze(["secret", "issuer", "algorithm", "digits", "period", "counter", "image"]);
+
+/**
+ * 抛出带统一前缀的解析错误
+ * @param {string} message - 错误描述
+ * @throws {Error} 总是抛出
+ * @private
+ */
+function fail(message) {
+  throw new Error(`Invalid otpauth URI: ${message}`);
+}
+
+/**
+ * 将查询参数解析为非负整数
+ * @param {string|null} value - 参数值
+ * @param {string} name - 参数名，用于错误信息
+ * @returns {number|undefined} 整数值，参数不存在时为 undefined
+ * @private
+ */
+function parse_int_param(value, name) {
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) {
+    fail(`\`${name}\` must be a non-negative integer, but got "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * 解析 otpauth URI 为密钥条目
+ * @param {string} uri - otpauth URI
+ * @returns {Object} 可直接传给 totpmgr.add_totp_key 的密钥条目
+ * @throws {Error} 当 URI 格式、类型、密钥或参数非法时
+ * @example
+ * parse("otpauth://totp/GitHub:alice?secret=JBSWY3DPEHPK3PXP&issuer=GitHub");
+ * // { name: "GitHub", platform: "GitHub", description: "alice",
+ * //   key: "JBSWY3DPEHPK3PXP", type: "totp", algorithm: "SHA1", digits: 6, period: 30, epoch: 0 }
+ */
+function parse(uri) {
+  if (typeof uri !== "string") {
+    fail(`expected a string, but got ${typeof uri}`);
+  }
+
+  let url;
+  try {
+    url = new URL(uri.trim());
+  } catch {
+    fail("not a valid URI");
+  }
+
+  if (url.protocol !== "otpauth:") {
+    fail(`unexpected scheme "${url.protocol}"`);
+  }
+
+  const type = url.hostname.toLowerCase();
+  if (type !== "totp" && type !== "hotp") {
+    fail(`unsupported type "${url.hostname}", expected totp or hotp`);
+  }
+
+  let label;
+  try {
+    label = decodeURIComponent(url.pathname.replace(/^\//, ""));
+  } catch {
+    fail("label is not correctly percent-encoded");
+  }
+
+  const separator = label.indexOf(":");
+  const label_issuer = separator === -1 ? "" : label.slice(0, separator).trim();
+  const account = (separator === -1 ? label : label.slice(separator + 1)).trim();
+  if (!account) {
+    fail("missing account name in label");
+  }
+
+  const params = url.searchParams;
+  for (const name of params.keys()) {
+    if (!KNOWN_PARAMS.includes(name)) {
+      fail(`unknown parameter \`${name}\``);
+    }
+  }
+
+  const param_issuer = params.get("issuer")?.trim() ?? "";
+  if (label_issuer && param_issuer && label_issuer !== param_issuer) {
+    fail(`issuer parameter "${param_issuer}" does not match label issuer "${label_issuer}"`);
+  }
+  const issuer = param_issuer || label_issuer;
+
+  const raw_secret = params.get("secret") ?? "";
+  if (!raw_secret.trim()) {
+    fail("missing `secret` parameter");
+  }
+  let secret;
+  try {
+    secret = secret_codec.normalize(raw_secret, "base32").secret;
+  } catch {
+    fail("`secret` is not valid base32");
+  }
+
+  const counter = parse_int_param(params.get("counter"), "counter");
+  if (type === "hotp" && counter === undefined) {
+    fail("`counter` is required for hotp");
+  }
+
+  let options;
+  try {
+    options = totp.normalize_options({
+      algorithm: params.get("algorithm") ?? undefined,
+      digits: parse_int_param(params.get("digits"), "digits"),
+      period: parse_int_param(params.get("period"), "period"),
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const entry = {
+    name: issuer || account,
+    platform: issuer,
+    description: account,
+    key: secret,
+    type,
+    algorithm: options.algorithm,
+    digits: options.digits,
+  };
+  return type === "totp"
+    ? { ...entry, period: options.period, epoch: options.epoch }
+    : { ...entry, counter };
+}
+
+/**
+ * 由条目推导 issuer：platform 为 URL 时取其主机名，否则直接使用 platform；
+ * 没有 platform 且 name 与账户名不同时取 name
+ * @param {Object} entry - 密钥条目
+ * @param {string} account - 账户名
+ * @returns {string} issuer，已去除冒号
+ * @private
+ */
+function issuer_of(entry, account) {
+  let issuer = entry.platform || (entry.name !== account ? entry.name : "") || "";
+  try {
+    const url = new URL(issuer);
+    if (url.protocol === "http:" || url.protocol === "https:") {
+      issuer = url.hostname.replace(/^www\./, "");
+    }
+  } catch {
+    // 不是 URL，按原样使用
+  }
+  return issuer.replace(/:/g, "").trim();
+}
+
+/**
+ * 由密钥条目生成 otpauth URI
+ * @param {Object} entry - 密钥条目（见 totpmgr.a_totp_key）
+ * @returns {string} otpauth URI
+ * @throws {RangeError} 当条目参数非法，或 T0 不为 0（otpauth 格式无法表示）时
+ * @example
+ * build({ name: "GitHub", platform: "https://github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+ * // "otpauth://totp/github.com:alice?secret=JBSWY3DPEHPK3PXP&issuer=github.com&algorithm=SHA1&digits=6&period=30"
+ */
+function build(entry) {
+  const type = entry.type ?? "totp";
+  const options = totp.normalize_options(entry);
+  if (type === "totp" && options.epoch !== 0) {
+    throw new RangeError("Keys with a non-zero T0 cannot be represented as an otpauth URI.");
+  }
+
+  const account = (entry.description || entry.name || "").trim();
+  const issuer = issuer_of(entry, account);
+  if (!account && !issuer) {
+    throw new RangeError("Keys without a name, platform or description cannot be labelled.");
+  }
+  const label = issuer
+    ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account || issuer)}`
+    : encodeURIComponent(account);
+
+  const params = new URLSearchParams();
+  params.set("secret", String(entry.key).replace(/[\s=]/g, "").toUpperCase());
+  if (issuer) params.set("issuer", issuer);
+  params.set("algorithm", options.algorithm);
+  params.set("digits", String(options.digits));
+  if (type === "totp") {
+    params.set("period", String(options.period));
+  } else {
+    params.set("counter", String(entry.counter ?? 0));
+  }
+
+  // URLSearchParams 会把空格编码为 "+"，部分客户端不认，统一改为 %20
+  return `otpauth://${type}/${label}?${params.toString().replace(/\+/g, "%20")}`;
+}
+
+/**
+ * otpauth URI 模块导出
+ * @namespace OTPAuth
+ * @property {Function} parse - 解析 otpauth URI 为密钥条目
+ * @property {Function} build - 由密钥条目生成 otpauth URI
+ */
+export default Object.freeze({
+  parse,
+  build,
+});
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview 纸质备份
+ * @description 生成可打印的离线备份页面：每个账户显示名称、发行方、分组的 Base32 密钥、参数与二维码，
+ * 页眉写明生成时间与密钥库指纹。页面是自包含的 HTML（内联样式与 SVG 二维码），
+ * 二维码在本地渲染，打印时不会访问任何外部资源。
+ */
+
+"use strict";
+
+import crypto from "crypto";
+import exporter from "./exporter.js";
+import qr from "./qr.js";
+
+/**
+ * Base32 密钥每组的字符数
+ * @type {number}
+ * @private
+ */
+const SECRET_GROUP_SIZE = 4;
+
+/**
+ * 指纹取 SHA-256 摘要的字节数
+ * @type {number}
+ * @private
+ */
+const FINGERPRINT_BYTES = 12;
+
+/**
+ * 页面内联样式，A4 纸每页约 4 个账户，卡片不跨页
+ * @type {string}
+ * @private
+ */
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, sans-serif; color: #000; background: #fff; margin: 24px; }
+  header { border-bottom: 2px solid #000; margin-bottom: 16px; padding-bottom: 8px; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  header p { margin: 2px 0; font-size: 13px; }
+  .fingerprint, .secret { font-family: ui-monospace, Menlo, Consolas, monospace; }
+  .warning { font-weight: bold; }
+  .entry { display: flex; gap: 16px; border: 1px solid #000; padding: 12px; margin-bottom: 12px; break-inside: avoid; page-break-inside: avoid; }
+  .qr { width: 160px; height: 160px; flex: none; }
+  .qr svg { width: 100%; height: 100%; }
+  .no-qr { display: flex; align-items: center; justify-content: center; text-align: center; border: 1px dashed #000; font-size: 12px; padding: 8px; }
+  .details { flex: 1; min-width: 0; }
+  h2 { font-size: 16px; margin: 0 0 6px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0; font-size: 13px; }
+  dt { font-weight: bold; }
+  dd { margin: 0; overflow-wrap: anywhere; }
+  .secret { font-size: 15px; letter-spacing: 1px; }
+  @page { margin: 15mm; }
+  @media print { body { margin: 0; } }
+`;
+
+/**
+ * 转义 HTML 文本
+ * @param {*} value - 任意值
+ * @returns {string} 可以安全放入元素内容与属性值的文本
+ * @private
+ */
+function escape_html(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char =>
+    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * 把 Base32 密钥按固定长度分组，便于抄写与核对
+ * @param {string} secret - 无填充的大写 Base32 密钥
+ * @returns {string} 以空格分隔的分组
+ * @example
+ * group_secret("JBSWY3DPEHPK3PXP"); // "JBSW Y3DP EHPK 3PXP"
+ */
+function group_secret(secret) {
+  return String(secret).match(new RegExp(`.{1,${SECRET_GROUP_SIZE}}`, "g"))?.join(" ") ?? "";
+}
+
+/**
+ * 计算密钥库指纹：对全部条目的ID、类型、密钥与参数按ID排序后取 SHA-256，
+ * 条目或密钥变化后指纹随之改变，可用来核对纸质备份与当前密钥库是否一致
+ * @param {Array<Object>} entries - 密钥库的全部完整条目
+ * @returns {string} 以短横线分组的大写十六进制指纹
+ * @example
+ * fingerprint(await vault.export_entries()); // "3F2A-9C01-77DE-B4A0-5E61-0C2D"
+ */
+function fingerprint(entries) {
+  const canonical = entries.map(exporter.plain_entry)
+    .map(({ id, type, secret, algorithm, digits, period, epoch }) => [id, type, secret, algorithm, digits, period, epoch])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const digest = crypto.createHash("sha256").update(JSON.stringify(canonical)).digest("hex");
+  return digest.slice(0, FINGERPRINT_BYTES * 2).toUpperCase().match(/.{4}/g).join("-");
+}
+
+/**
+ * 渲染单个账户的卡片
+ * @param {import("./exporter.js").PlainExportEntry} entry - 导出条目
+ * @returns {Promise<string>} 卡片的 HTML
+ * @private
+ */
+async function entry_card(entry) {
+  const code = entry.uri
+    ? `<div class="qr">${await qr.render(entry.uri, "svg")}</div>`
+    : "<div class=\"qr no-qr\">No QR code: these parameters cannot be expressed as an otpauth URI, " +
+      "enter the secret manually.</div>";
+
+  const rows = [
+    ["Issuer", entry.platform || "—"],
+    ["Account", entry.description || "—"],
+    ["Secret", `<span class="secret">${escape_html(group_secret(entry.secret))}</span>`, true],
+    ["Type", entry.type.toUpperCase()],
+    ["Algorithm", entry.algorithm],
+    ["Digits", entry.digits],
+    ...(entry.type === "totp"
+      ? [["Period", `${entry.period} s`], ...(entry.epoch ? [["T0", entry.epoch]] : [])]
+      : [["Counter", entry.counter]]),
+  ];
+  const details = rows
+    .map(([label, value, raw]) => `<dt>${label}</dt><dd>${raw ? value : escape_html(value)}</dd>`)
+    .join("");
+
+  return `<section class="entry">${code}<div class="details">` +
+    `<h2>${escape_html(entry.name || entry.platform || entry.description)}</h2><dl>${details}</dl></div></section>`;
+}
+
+/**
+ * 生成纸质备份页面
+ * @param {Array<Object>} entries - 要打印的完整条目（见 exporter.select）
+ * @param {Object} info - 页眉信息
+ * @param {string} info.vault - 密钥库名称
+ * @param {string} info.fingerprint - 密钥库指纹，见 fingerprint
+ * @param {Date} [info.generated_at=new Date()] - 生成时间
+ * @returns {Promise<string>} 自包含的 HTML 页面
+ * @example
+ * const all = await vault.export_entries();
+ * const html = await paper.render(exporter.select(all, { tags: ["critical"] }),
+ *   { vault: vault.name, fingerprint: paper.fingerprint(all) });
+ */
+async function render(entries, info) {
+  const generated_at = (info.generated_at ?? new Date()).toISOString();
+  const cards = [];
+  for (const entry of entries.map(exporter.plain_entry)) {
+    cards.push(await entry_card(entry));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>2FA paper backup - ${escape_html(info.vault)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>2FA paper backup</h1>
+<p>Vault: <strong>${escape_html(info.vault)}</strong> &middot; ${entries.length} account(s)</p>
+<p>Generated: ${escape_html(generated_at.replace("T", " ").slice(0, 19))} UTC</p>
+<p>Vault fingerprint: <span class="fingerprint">${escape_html(info.fingerprint)}</span></p>
+<p class="warning">This sheet contains secret keys in plain text. Store it as securely as the accounts it protects.</p>
+</header>
+<main>
+${cards.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * 纸质备份模块导出
+ * @namespace Paper
+ * @property {Function} render - 生成纸质备份页面
+ * @property {Function} fingerprint - 计算密钥库指纹
+ * @property {Function} group_secret - 分组 Base32 密钥
+ */
+export default Object.freeze({
+  render,
+  fingerprint,
+  group_secret,
+});
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview 二维码读取工具
+ * @description 使用纯 JavaScript 解码 PNG/JPEG 图片中的二维码，并提取其中的 otpauth URI；
+ * 以及在本地将文本渲染为 SVG/PNG 二维码，不依赖任何外部服务。
+ */
+
+"use strict";
+
+import jsqr from "jsqr";
+import qrcode from "qrcode";
+import { PNG } from "pngjs";
+import jpeg from "jpeg-js";
+
+/**
+ * 二维码相关错误码
+ * @type {Object.<string, string>}
+ * @property {string} UNSUPPORTED_IMAGE - 不是 PNG/JPEG 或图片无法解码
+ * @property {string} NOT_FOUND - 图片中没有找到二维码
+ * @property {string} NOT_OTPAUTH - 二维码内容不是 otpauth URI
+ * @property {string} IMAGE_TOO_LARGE - 图片的宽或高超过 MAX_IMAGE_SIDE
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  UNSUPPORTED_IMAGE: "QR_UNSUPPORTED_IMAGE",
+  NOT_FOUND: "QR_NOT_FOUND",
+  NOT_OTPAUTH: "QR_NOT_OTPAUTH",
+  IMAGE_TOO_LARGE: "QR_IMAGE_TOO_LARGE",
+});
+
+/**
+ * 允许解码的图片最大边长（像素）。解码后每个像素占 4 字节，
+ * 高度压缩的小文件也可能展开为数百 MB，因此在解码前按文件头中的尺寸拒绝
+ * @type {number}
+ */
+const MAX_IMAGE_SIDE = 4096;
+
+/**
+ * 创建带错误码的错误对象
+ * @param {string} code - ERROR_CODES 中的错误码
+ * @param {string} message - 错误描述
+ * @returns {Error} 带 code 属性的错误
+ * @private
+ */
+function qr_error(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * 从 JPEG 的帧头（SOFn）中读取尺寸，不解码图像数据
+ * @param {Buffer} image - JPEG 图片内容
+ * @returns {{width: number, height: number}|null} 尺寸，找不到帧头时为 null
+ * @private
+ */
+function jpeg_size(image) {
+  let offset = 2;
+  while (offset + 4 <= image.length) {
+    if (image[offset] !== 0xff) return null;
+    const marker = image[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // 不带长度的独立标记：TEM 与 RST0~7
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const is_sof = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (is_sof && offset + 9 <= image.length) {
+      return { height: image.readUInt16BE(offset + 5), width: image.readUInt16BE(offset + 7) };
+    }
+    if (marker === 0xd9 || marker === 0xda) return null;
+    offset += 2 + image.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * 读取 PNG/JPEG 文件头中的尺寸
+ * @param {Buffer} image - 图片内容
+ * @returns {{type: string, width: number, height: number}} 图片类型（png/jpeg）与尺寸
+ * @throws {Error} 当不是 PNG/JPEG 或文件头不完整时（code 为 QR_UNSUPPORTED_IMAGE）
+ * @private
+ */
+function image_header(image) {
+  if (image.readUInt32BE(0) === 0x89504e47) {
+    // 签名之后第一个块必须是 IHDR，宽高位于第 16 与 20 字节
+    if (image.length < 24 || image.toString("latin1", 12, 16) !== "IHDR") {
+      throw qr_error(ERROR_CODES.UNSUPPORTED_IMAGE, "The PNG header is incomplete.");
+    }
+    return { type: "png", width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+  if (image[0] === 0xff && image[1] === 0xd8 && image[2] === 0xff) {
+    const size = jpeg_size(image);
+    if (!size) {
+      throw qr_error(ERROR_CODES.UNSUPPORTED_IMAGE, "The JPEG header is incomplete.");
+    }
+    return { type: "jpeg", ...size };
+  }
+  throw qr_error(ERROR_CODES.UNSUPPORTED_IMAGE, "Only PNG and JPEG images are supported.");
+}
+
+/**
+ * 将 PNG/JPEG 图片解码为 RGBA 像素
+ * @param {Buffer} image - 图片内容
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} 像素数据
+ * @throws {Error} 当图片格式不受支持或无法解码（code 为 QR_UNSUPPORTED_IMAGE）、
+ * 宽或高超过 MAX_IMAGE_SIDE 时（code 为 QR_IMAGE_TOO_LARGE）
+ * @private
+ */
+function decode_image(image) {
+  if (!Buffer.isBuffer(image) || image.length < 4) {
+    throw qr_error(ERROR_CODES.UNSUPPORTED_IMAGE, "Image is empty or not a buffer.");
+  }
+
+  const { type, width, height } = image_header(image);
+  if (width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE) {
+    throw qr_error(ERROR_CODES.IMAGE_TOO_LARGE,
+      `Image is ${width}x${height} pixels, the maximum is ${MAX_IMAGE_SIDE}x${MAX_IMAGE_SIDE}.`);
+  }
+
+  try {
+    if (type === "png") {
+      const png = PNG.sync.read(image);
+      return { data: new Uint8ClampedArray(png.data), width: png.width, height: png.height };
+    }
+    const jpg = jpeg.decode(image, { useTArray: true, formatAsRGBA: true });
+    return { data: new Uint8ClampedArray(jpg.data), width: jpg.width, height: jpg.height };
+  } catch (error) {
+    throw qr_error(ERROR_CODES.UNSUPPORTED_IMAGE, `Failed to decode image: ${error.message}`);
+  }
+}
+
+/**
+ * 读取图片中的二维码文本
+ * @param {Buffer} image - PNG 或 JPEG 图片内容
+ * @returns {string} 二维码中的文本
+ * @throws {Error} 当图片无法解码（QR_UNSUPPORTED_IMAGE）、尺寸过大（QR_IMAGE_TOO_LARGE）或没有找到二维码（QR_NOT_FOUND）时
+ */
+function read_text(image) {
+  const { data, width, height } = decode_image(image);
+  const result = jsqr(data, width, height, { inversionAttempts: "attemptBoth" });
+  if (!result || !result.data) {
+    throw qr_error(ERROR_CODES.NOT_FOUND, "No QR code found in the image.");
+  }
+  return result.data;
+}
+
+/**
+ * 读取图片中的 otpauth URI
+ * @param {Buffer} image - PNG 或 JPEG 图片内容
+ * @returns {string} otpauth URI
+ * @throws {Error} 除 read_text 的错误外，二维码内容不是 otpauth URI 时抛出 QR_NOT_OTPAUTH
+ * @example
+ * const uri = qr.read_otpauth(fs.readFileSync("github.png"));
+ * await totpmgr.add_totp_uri(uri);
+ */
+function read_otpauth(image) {
+  const text = read_text(image).trim();
+  if (!/^otpauth:\/\//i.test(text)) {
+    throw qr_error(ERROR_CODES.NOT_OTPAUTH, "The QR code does not contain an otpauth URI.");
+  }
+  return text;
+}
+
+/**
+ * 支持的渲染格式及其 MIME 类型
+ * @type {Object.<string, string>}
+ * @readonly
+ */
+const RENDER_FORMATS = Object.freeze({
+  svg: "image/svg+xml",
+  png: "image/png",
+});
+
+/**
+ * 将文本渲染为二维码图片
+ * @param {string} text - 要编码的文本，通常是 otpauth URI
+ * @param {string} [format="svg"] - 输出格式（svg/png）
+ * @returns {Promise<string|Buffer>} svg 返回字符串，png 返回 Buffer
+ * @throws {RangeError} 当格式不受支持时
+ * @example
+ * const svg = await qr.render(uri);
+ * const png = await qr.render(uri, "png");
+ */
+async function render(text, format = "svg") {
+  const options = { errorCorrectionLevel: "M", margin: 2 };
+  if (format === "svg") {
+    return await qrcode.toString(text, { ...options, type: "svg" });
+  }
+  if (format === "png") {
+    return await qrcode.toBuffer(text, { ...options, type: "png", width: 320 });
+  }
+  throw new RangeError(`Unsupported QR format: ${format}`);
+}
+
+/**
+ * 二维码模块导出
+ * @namespace QR
+ * @property {Function} read_text - 读取图片中的二维码文本
+ * @property {Function} read_otpauth - 读取图片中的 otpauth URI
+ * @property {Function} render - 将文本渲染为二维码图片
+ * @property {Object} ERROR_CODES - 错误码
+ * @property {Object} RENDER_FORMATS - 支持的渲染格式
+ * @property {number} MAX_IMAGE_SIDE - 允许解码的图片最大边长
+ */
+export default Object.freeze({
+  read_text,
+  read_otpauth,
+  render,
+  ERROR_CODES,
+  RENDER_FORMATS,
+  MAX_IMAGE_SIDE,
+});
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview 密钥规范化与校验
+ * @description 把用户粘贴或导入的密钥统一转换为无填充的大写 Base32。
+ * 支持 Base32（任意大小写，可带空格、短横线与填充）、十六进制与 Base64。
+ * 自动识别时 Base32 优先：同时是合法 Base32 与十六进制的字符串（如 "deadbeef"）按 Base32 解码，
+ * 十六进制可用 "0x" 前缀或显式指定 encoding 区分。
+ */
+
+"use strict";
+
+/**
+ * Base32 字母表（RFC 4648）
+ * @type {string}
+ * @private
+ */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * 支持的密钥编码
+ * @type {Array<string>}
+ * @readonly
+ */
+const ENCODINGS = Object.freeze(["base32", "hex", "base64"]);
+
+/**
+ * 推荐的最短密钥长度（RFC 4226 要求至少 128 位，建议 160 位；低于 80 位时给出警告）
+ * @type {number}
+ */
+const MIN_BITS = 80;
+
+/**
+ * 密钥错误码
+ * @type {Object.<string, string>}
+ * @property {string} INVALID - 密钥为空或无法解码
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  INVALID: "SECRET_INVALID",
+});
+
+/**
+ * 抛出带统一前缀与错误码的密钥错误
+ * @param {string} message - 错误描述
+ * @throws {Error} 总是抛出（code 为 SECRET_INVALID）
+ * @private
+ */
+function fail(message) {
+  throw Object.assign(new Error(`Invalid secret: ${message}`), { code: ERROR_CODES.INVALID });
+}
+
+/**
+ * 严格解码 Base32：忽略空白、短横线、填充与大小写，拒绝非法字符与不可能出现的长度
+ * @param {string} text - Base32 文本
+ * @returns {Buffer} 解码后的字节
+ * @throws {Error} 当文本为空、含非法字符或长度不合法时（code 为 SECRET_INVALID）
+ * @example
+ * decode_base32("jbsw y3dp ehpk 3pxp"); // <Buffer 48 65 6c 6c 6f 21 de ad be ef>
+ */
+function decode_base32(text) {
+  const clean = String(text ?? "").replace(/[\s\-]/g, "").replace(/=+$/, "").toUpperCase();
+  if (!clean) {
+    fail("secret is empty");
+  }
+  if (!/^[A-Z2-7]+$/.test(clean)) {
+    fail("not valid base32");
+  }
+  // 每 8 个字符 40 位，余下 1、3、6 个字符无法组成整数个字节
+  if ([1, 3, 6].includes(clean.length % 8)) {
+    fail(`base32 length ${clean.length} is truncated`);
+  }
+
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 将字节编码为无填充的大写 Base32
+ * @param {Buffer|Uint8Array} bytes - 字节
+ * @returns {string} Base32 文本
+ */
+function encode_base32(bytes) {
+  let text = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32_ALPHABET[(buffer >> bits) & 0x1f];
+    }
+  }
+  if (bits > 0) {
+    text += BASE32_ALPHABET[(buffer << (5 - bits)) & 0x1f];
+  }
+  return text;
+}
+
+/**
+ * 解码十六进制，允许 "0x" 前缀以及空白、短横线与冒号分隔
+ * @param {string} text - 十六进制文本
+ * @returns {Buffer} 解码后的字节
+ * @throws {Error} 当文本不是偶数长度的十六进制时
+ * @private
+ */
+function decode_hex(text) {
+  const clean = text.replace(/[\s\-:]/g, "").replace(/^0x/i, "");
+  if (!/^[0-9a-f]+$/i.test(clean) || clean.length % 2) {
+    fail("not valid hex");
+  }
+  return Buffer.from(clean, "hex");
+}
+
+/**
+ * 解码 Base64，同时接受标准与 URL 安全字母表，填充可省略
+ * @param {string} text - Base64 文本
+ * @returns {Buffer} 解码后的字节
+ * @throws {Error} 当文本不是合法的 Base64 时
+ * @private
+ */
+function decode_base64(text) {
+  const clean = text.replace(/\s/g, "");
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(clean) || clean.replace(/=+$/, "").length % 4 === 1) {
+    fail("not valid base64");
+  }
+  return Buffer.from(clean, "base64");
+}
+
+/**
+ * 识别密钥的编码
+ * @param {string} text - 去掉首尾空白的密钥文本
+ * @returns {string} base32、hex 或 base64
+ * @throws {Error} 当文本不属于任何支持的编码时
+ * @private
+ */
+function detect_encoding(text) {
+  if (/^0x/i.test(text)) {
+    return "hex";
+  }
+  // 只含 Base32 字母的输入一定按 Base32 处理，长度被截断时报错，而不是退回 Base64 解出错误的密钥
+  if (/^[A-Z2-7]+$/.test(text.replace(/[\s\-]/g, "").replace(/=+$/, "").toUpperCase())) {
+    return "base32";
+  }
+  if (/^[0-9a-f]+$/i.test(text.replace(/[\s\-:]/g, ""))) {
+    return "hex";
+  }
+  if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(text.replace(/\s/g, ""))) {
+    return "base64";
+  }
+  fail("not valid base32, hex or base64");
+}
+
+/**
+ * 规范化并校验密钥
+ * @param {string} input - 用户输入或导入的密钥
+ * @param {string} [encoding] - 指定编码（base32/hex/base64），省略时自动识别
+ * @returns {{secret: string, encoding: string, bits: number, warnings: Array<string>}}
+ * 规范化后的 Base32 密钥、识别出的编码、密钥位数以及警告（如密钥过短）
+ * @throws {Error} 当密钥为空、编码不支持或无法解码时（code 为 SECRET_INVALID）
+ * @example
+ * normalize("jbsw-y3dp-ehpk-3pxp").secret;                          // "JBSWY3DPEHPK3PXP"
+ * normalize("3132333435363738393031323334353637383930").encoding;   // "hex"
+ * normalize("MTIzNDU2Nzg5MDEyMzQ1Njc4OTA=", "base64").secret;        // "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+ */
+function normalize(input, encoding) {
+  if (typeof input !== "string") {
+    fail(`expected a string, but got ${typeof input}`);
+  }
+  const text = input.trim();
+  if (!text) {
+    fail("secret is empty");
+  }
+  if (encoding !== undefined && !ENCODINGS.includes(encoding)) {
+    fail(`unsupported encoding "${encoding}", expected one of: ${ENCODINGS.join(", ")}`);
+  }
+
+  const used = encoding ?? detect_encoding(text);
+  const bytes = { base32: decode_base32, hex: decode_hex, base64: decode_base64 }[used](text);
+  if (!bytes.length) {
+    fail("secret decodes to zero bytes");
+  }
+
+  const bits = bytes.length * 8;
+  const warnings = bits < MIN_BITS
+    ? [`secret is only ${bits} bits long, at least ${MIN_BITS} bits are recommended`]
+    : [];
+  return { secret: encode_base32(bytes), encoding: used, bits, warnings };
+}
+
+/**
+ * 密钥规范化模块导出
+ * @namespace Secret
+ * @property {Function} normalize - 规范化并校验密钥
+ * @property {Function} decode_base32 - 严格解码 Base32
+ * @property {Function} encode_base32 - 编码为无填充 Base32
+ * @property {Array<string>} ENCODINGS - 支持的编码
+ * @property {number} MIN_BITS - 不触发警告的最短位数
+ * @property {Object} ERROR_CODES - 错误码
+ */
+export default Object.freeze({
+  normalize,
+  decode_base32,
+  encode_base32,
+  ENCODINGS,
+  MIN_BITS,
+  ERROR_CODES,
+});
\ No newline at end of file
@@ -1,13 +1,23 @@
 import express from "express";
 import path from "path";
+import crypto from "crypto";
 import logmy from "../utils/logmy.js";
+import jsenv from "../utils/jsenv.js";
 import health from "./health.js";
+import api from "./api.js";
+import vaults from "./vaults.js";
 import chalk from "chalk";
 
 import { fileURLToPath } from "url"; // 新增：解决 __dirname 问题
 
 await logmy.init_logger();
 
+// 服务配置，首次启动时生成随机的 API 令牌；auto_lock 为密钥库自动锁定的时间（分钟，0 表示不启用）
+const config = jsenv.read_config("./config/server.json", undefined, {
+    token: crypto.randomBytes(32).toString("hex"),
+    auto_lock: { idle_minutes: 15, max_session_minutes: 720 },
+});
+
 const app = express();
 const PORT = 32504;
 
@@ -17,6 +27,17 @@ const __dirname = path.dirname(__filename);
 
 const log = logmy.get_logger("Server");
 
+// 自动锁定设置非法时沿用默认值，并在健康检查中报告
+try {
+    vaults.configure(config.auto_lock ?? {});
+    health.push_health("auto_lock", "ok");
+} catch (error) {
+    log.error(`Invalid auto_lock config, using the defaults: ${error.message}`);
+    health.push_health("auto_lock", "error", error.message);
+}
+// 启动时打开（不解锁）默认密钥库，健康检查从一开始就报告它的锁定状态
+vaults.get();
+
 app.use((req, res, next) => {
     res.on("finish", () => {
         log.info(`${req.method} ${req.originalUrl} - ${res.statusCode}`);
@@ -50,6 +71,8 @@ app.get("/api/health", (req, res) => {
     });
 });
 
+app.use("/api", api);
+
 // 生产环境静态文件服务
 if (process.env.NODE_ENV === "production") {
     const staticPath = path.join(__dirname, "../../dist"); 
@@ -1,21 +1,129 @@
+/**
+ * @fileoverview TOTP验证码生成器
+ * @description 按 RFC 6238 生成基于时间的一次性密码，支持 SHA1/SHA256/SHA512、
+ * 6~10 位验证码、自定义时间步长和起始时间 T0；同时提供 RFC 4226 的 HOTP 计数器算法
+ * 以及带漂移窗口和防重放的验证码校验。
+ */
+
 "use strict";
 
 import crypto from "crypto";
-import hibase32 from "hi-base32";
+import secret_codec from "./secret.js";
+
+/**
+ * 默认参数，与 Google Authenticator 等常见实现一致
+ * @type {Object}
+ * @property {string} algorithm - HMAC 算法
+ * @property {number} digits - 验证码位数
+ * @property {number} period - 时间步长（秒）
+ * @property {number} epoch - 起始时间 T0（Unix 秒）
+ * @readonly
+ */
+const DEFAULT_OPTIONS = Object.freeze({
+  algorithm: "SHA1",
+  digits: 6,
+  period: 30,
+  epoch: 0,
+});
+
+/**
+ * 校验时允许的最大漂移窗口（时间步数）。窗口内每个时间步都要计算一次 HMAC，
+ * 窗口来自请求参数，过大的窗口会长时间阻塞事件循环，也会让暴力猜测更容易
+ * @type {number}
+ */
+const MAX_WINDOW = 10;
+
+/**
+ * 支持的 HMAC 算法及其在 node:crypto 中的名称
+ * @type {Object.<string, string>}
+ * @readonly
+ */
+const ALGORITHMS = Object.freeze({
+  SHA1: "sha1",
+  SHA256: "sha256",
+  SHA512: "sha512",
+});
+
+/**
+ * 规范化算法名称，兼容 `sha256`、`SHA-256` 等写法
+ * @param {string} algorithm - 算法名称
+ * @returns {string} 规范化后的名称（SHA1/SHA256/SHA512）
+ * @throws {RangeError} 当算法不受支持时
+ */
+function normalize_algorithm(algorithm) {
+  const name = String(algorithm).toUpperCase().replace(/-/g, "");
+  if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, name)) {
+    throw new RangeError(`Unsupported algorithm: ${algorithm}`);
+  }
+  return name;
+}
 
-function generate(secret, nowtime) {
-  const timestep = 30;
-  const digits = 6;
+/**
+ * 校验并补全生成参数，缺省字段使用 DEFAULT_OPTIONS
+ * @param {Object} [options={}] - 生成参数
+ * @param {string} [options.algorithm="SHA1"] - HMAC 算法
+ * @param {number} [options.digits=6] - 验证码位数（6~10）
+ * @param {number} [options.period=30] - 时间步长（秒）
+ * @param {number} [options.epoch=0] - 起始时间 T0（Unix 秒）
+ * @returns {{algorithm: string, digits: number, period: number, epoch: number}} 完整参数
+ * @throws {RangeError} 当任一参数非法时
+ */
+function normalize_options(options = {}) {
+  const algorithm = normalize_algorithm(options.algorithm ?? DEFAULT_OPTIONS.algorithm);
+  const digits = options.digits ?? DEFAULT_OPTIONS.digits;
+  const period = options.period ?? DEFAULT_OPTIONS.period;
+  const epoch = options.epoch ?? DEFAULT_OPTIONS.epoch;
 
-  const key = hibase32.decode(secret, true);
+  if (!Number.isInteger(digits) || digits < 6 || digits > 10) {
+    throw new RangeError(`Digits must be an integer between 6 and 10, but got ${digits}`);
+  }
+  if (!Number.isInteger(period) || period <= 0) {
+    throw new RangeError(`Period must be a positive integer, but got ${period}`);
+  }
+  if (!Number.isInteger(epoch)) {
+    throw new RangeError(`Epoch must be an integer, but got ${epoch}`);
+  }
 
-  const counter = Math.floor(nowtime / 1000 / timestep);
+  return { algorithm, digits, period, epoch };
+}
+
+/**
+ * 计算指定时间对应的时间步计数器
+ * @param {number} nowtime - 毫秒时间戳，不能早于起始时间 T0
+ * @param {Object} [options={}] - 生成参数，见 normalize_options
+ * @returns {number} 时间步计数器 T
+ * @throws {RangeError} 当参数非法、nowtime 不是有限数值或早于 T0 时
+ */
+function counter_at(nowtime, options = {}) {
+  const { period, epoch } = normalize_options(options);
+  if (!Number.isFinite(nowtime) || nowtime < epoch * 1000) {
+    throw new RangeError(`Time must be a millisecond timestamp not before T0 (${epoch * 1000}), but got ${nowtime}`);
+  }
+  return Math.floor((nowtime / 1000 - epoch) / period);
+}
+
+/**
+ * 按 RFC 4226 的动态截断算法，由计数器计算验证码
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} counter - 计数器，非负整数
+ * @param {Object} [options={}] - 生成参数，仅使用 algorithm 与 digits
+ * @returns {string} 补零后的验证码
+ * @throws {RangeError} 当参数或计数器非法时
+ * @throws {Error} 当密钥不是合法的 Base32 时（code 为 SECRET_INVALID）
+ */
+function generate_at_counter(secret, counter, options = {}) {
+  const { algorithm, digits } = normalize_options(options);
+  if (!Number.isSafeInteger(counter) || counter < 0) {
+    throw new RangeError(`Counter must be a non-negative integer, but got ${counter}`);
+  }
+
+  const key = secret_codec.decode_base32(secret);
 
   const counter_bytes = Buffer.alloc(8);
   counter_bytes.writeBigUInt64BE(BigInt(counter), 0);
 
   const hmac = crypto
-    .createHmac("sha1", Buffer.from(key))
+    .createHmac(ALGORITHMS[algorithm], Buffer.from(key))
     .update(counter_bytes)
     .digest();
 
@@ -30,4 +138,149 @@ function generate(secret, nowtime) {
   return (bin % Math.pow(10, digits)).toString().padStart(digits, "0");
 }
 
-export default generate;
\ No newline at end of file
+/**
+ * 生成 TOTP 验证码
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} nowtime - 毫秒时间戳
+ * @param {Object} [options={}] - 生成参数，见 normalize_options
+ * @returns {string} 验证码
+ * @throws {RangeError} 当参数非法时
+ * @example
+ * generate("JBSWY3DPEHPK3PXP", Date.now());
+ * generate(secret, Date.now(), { algorithm: "SHA256", digits: 8 });
+ */
+function generate(secret, nowtime, options = {}) {
+  return generate_at_counter(secret, counter_at(nowtime, options), options);
+}
+
+/**
+ * 生成 TOTP 验证码及其所在时间步的有效区间，以及下一个时间步的验证码
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} nowtime - 毫秒时间戳
+ * @param {Object} [options={}] - 生成参数，见 normalize_options
+ * @returns {{code: string, counter: number, period: number, remaining: number,
+ *   valid_from: number, valid_until: number, next: string}}
+ * 验证码、时间步计数器、时间步长（秒）、距下一次更换的秒数（向上取整，1~period）、
+ * 当前时间步的起止毫秒时间戳（valid_until 不含）以及下一个时间步的验证码
+ * @throws {RangeError} 当参数非法时
+ * @example
+ * generate_window("JBSWY3DPEHPK3PXP", 59000);
+ * // { code: "...", counter: 1, period: 30, remaining: 1, valid_from: 30000, valid_until: 60000, next: "..." }
+ */
+function generate_window(secret, nowtime, options = {}) {
+  const { period, epoch } = normalize_options(options);
+  const counter = counter_at(nowtime, options);
+  const valid_from = (epoch + counter * period) * 1000;
+  const valid_until = valid_from + period * 1000;
+  return {
+    code: generate_at_counter(secret, counter, options),
+    counter,
+    period,
+    remaining: Math.ceil((valid_until - nowtime) / 1000),
+    valid_from,
+    valid_until,
+    next: generate_at_counter(secret, counter + 1, options),
+  };
+}
+
+/**
+ * 以恒定时间比较两个验证码字符串，长度不同时仍会完成一次比较
+ * @param {string} expected - 期望的验证码
+ * @param {string} actual - 用户输入的验证码
+ * @returns {boolean} 是否相同
+ * @private
+ */
+function safe_equal(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.alloc(a.length);
+  const input = Buffer.from(String(actual));
+  input.copy(b, 0, 0, a.length);
+  return crypto.timingSafeEqual(a, b) && input.length === a.length;
+}
+
+/**
+ * 在计数器区间 [from, to] 内查找与验证码匹配的计数器
+ * 区间内每个计数器都会参与比较，不会因提前命中而退出；
+ * 优先返回大于 last_counter 的匹配，没有时才返回已使用过的匹配
+ * @param {string} secret - Base32 编码的密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} from - 起始计数器（含）
+ * @param {number} to - 结束计数器（含）
+ * @param {Object} [options={}] - 生成参数，见 normalize_options
+ * @param {number|null} [last_counter=null] - 上一次接受的计数器
+ * @returns {number|null} 匹配的计数器，没有匹配时为 null
+ */
+function match_counter(secret, code, from, to, options = {}, last_counter = null) {
+  let fresh = null;
+  let used = null;
+  for (let counter = Math.max(from, 0); counter <= to; counter++) {
+    const matched = safe_equal(generate_at_counter(secret, counter, options), code);
+    if (matched && (last_counter === null || counter > last_counter)) {
+      fresh = fresh ?? counter;
+    } else if (matched) {
+      used = used ?? counter;
+    }
+  }
+  return fresh ?? used;
+}
+
+/**
+ * 校验 TOTP 验证码，允许前后 window 个时间步的时钟漂移
+ * @param {string} secret - Base32 编码的密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {Object} [options={}] - 校验参数，同时包含 normalize_options 的生成参数
+ * @param {number} [options.window=1] - 允许漂移的时间步数（0~MAX_WINDOW）
+ * @param {number} [options.nowtime=Date.now()] - 校验时刻的毫秒时间戳
+ * @param {number|null} [options.last_counter=null] - 上一次接受的时间步，不大于它的匹配视为重放
+ * @returns {{valid: boolean, delta: number|null, counter: number|null, replayed: boolean}}
+ * 校验结果：delta 为匹配时间步相对当前时间步的偏移，counter 为匹配的时间步
+ * @throws {RangeError} 当参数非法时
+ * @example
+ * verify(secret, "123456", { window: 2 });
+ * // { valid: true, delta: -1, counter: 57648512, replayed: false }
+ */
+function verify(secret, code, options = {}) {
+  const window = options.window ?? 1;
+  const nowtime = options.nowtime ?? Date.now();
+  const last_counter = options.last_counter ?? null;
+
+  if (!Number.isInteger(window) || window < 0 || window > MAX_WINDOW) {
+    throw new RangeError(`Window must be an integer between 0 and ${MAX_WINDOW}, but got ${window}`);
+  }
+
+  const current = counter_at(nowtime, options);
+  const counter = match_counter(secret, code, current - window, current + window, options, last_counter);
+  if (counter === null) {
+    return { valid: false, delta: null, counter: null, replayed: false };
+  }
+
+  const replayed = last_counter !== null && counter <= last_counter;
+  return { valid: !replayed, delta: counter - current, counter, replayed };
+}
+
+/**
+ * TOTP 生成模块导出
+ * @namespace TOTP
+ * @property {Function} generate - 生成 TOTP 验证码
+ * @property {Function} generate_window - 生成验证码及其有效区间与下一个验证码
+ * @property {Function} generate_at_counter - 由计数器生成验证码
+ * @property {Function} hotp - 生成 HOTP 验证码（generate_at_counter 的别名）
+ * @property {Function} counter_at - 计算时间步计数器
+ * @property {Function} verify - 校验 TOTP 验证码
+ * @property {Function} match_counter - 在计数器区间内查找匹配的验证码
+ * @property {Function} normalize_options - 校验并补全生成参数
+ * @property {Object} DEFAULT_OPTIONS - 默认参数
+ * @property {number} MAX_WINDOW - 校验时允许的最大漂移窗口
+ */
+export default Object.freeze({
+  generate,
+  generate_window,
+  generate_at_counter,
+  hotp: generate_at_counter,
+  counter_at,
+  verify,
+  match_counter,
+  normalize_options,
+  DEFAULT_OPTIONS,
+  MAX_WINDOW,
+});
\ No newline at end of file
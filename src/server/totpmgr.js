@@ -4,142 +4,1991 @@
  */
 
 "use strict";
+import crypto from "crypto";
 import jsenv_aes from "../utils/jsenvaes.js";
+import logmy from "../utils/logmy.js";
 import nothing from "../utils/nothing.js";
+import typec from "../utils/typec.js";
+import totp from "./totp.js";
+import otpauth from "./otpauth.js";
+import secret_codec from "./secret.js";
+import fuzzy from "./fuzzy.js";
+import health from "./health.js";
+
+const log = logmy.get_logger("TOTPManager");
 
 /**
- * 加密密钥，用于配置文件的加密解密
- * @type {Buffer|null}
+ * 单个密钥库的状态，由 open_vault 创建，本模块中带 vault 参数的函数都作用于它
+ * @typedef {Object} VaultState
+ * @property {string} name - 密钥库名称
+ * @property {string} key_file - 密钥文件路径，`.validate` 位于同一目录
+ * @property {string} config_file - 加密配置文件路径
+ * @property {Buffer|null} key - 加密密钥，锁定时清零并置为 null
+ * @property {Object} config - 解密后的配置，结构见 empty_config；锁定时为空配置
+ * @property {Promise<void>} save_queue - 保存队列，修改与写入依次执行，同一时刻只有一次修改或配置写入
+ * @property {Promise<void>} unlock_queue - 解锁队列，并发的解锁依次执行，同一时刻只有一次密钥派生与配置加载
+ * @property {NodeJS.Timeout|null} usage_timer - 尚未写入的使用统计的定时保存，没有待写入的统计时为 null
+ * @property {{idle_ms: number, max_age_ms: number}} auto_lock - 自动锁定设置，见 AUTO_LOCK_DEFAULTS
+ * @property {number|null} unlocked_at - 本次解锁的毫秒时间戳，锁定时为 null
+ * @property {NodeJS.Timeout|null} idle_timer - 闲置自动锁定的定时器
+ * @property {NodeJS.Timeout|null} expiry_timer - 会话到达最长时间时自动锁定的定时器
+ * @property {string|null} locked_reason - 最近一次锁定的原因（manual/idle/max_age/rekey_failed），从未解锁过时为 null
  * @private
  */
-let key = null;
 
 /**
- * TOTP配置对象
- * @type {Object}
+ * 创建空的TOTP配置对象
+ * @returns {Object} 配置对象
+ * @property {number} version - 配置结构版本，见 CONFIG_VERSION
  * @property {Array<Object>} keys - TOTP密钥数组
+ * @property {Array<Object>} trash - 回收站中的条目，比普通条目多一个 deleted_at（ISO 8601）
+ * @property {number} trash_retention_days - 回收站保留天数，超过的条目在写入配置时被永久删除
  * @private
  */
-let config = {
-  keys: [],
+function empty_config() {
+  return {
+    version: CONFIG_VERSION,
+    keys: [],
+    trash: [],
+    trash_retention_days: TRASH_RETENTION_DAYS,
+  };
 }
 
 /**
  * TOTP密钥示例对象
  * @type {Object}
+ * @property {string} id - 永久唯一ID，添加时生成，之后不再改变
  * @property {string} name - 密钥名称
- * @property {string} platform - 平台URL
+ * @property {string} platform - 平台URL或发行方名称
  * @property {string} description - 密钥描述
  * @property {number} rank - 优先级排序
  * @property {string} key - TOTP密钥字符串
+ * @property {string} algorithm - HMAC算法（SHA1/SHA256/SHA512）
+ * @property {number} digits - 验证码位数（6~10）
+ * @property {number} period - 时间步长（秒）
+ * @property {number} epoch - 起始时间T0（Unix秒）
+ * @property {string} type - 密钥类型（totp/hotp），hotp条目以counter代替period与epoch
+ * @property {Array<string>} tags - 标签，一个条目可以有多个
+ * @property {string|null} folder - 所在文件夹，null 表示不在任何文件夹中
+ * @property {boolean} favorite - 是否收藏（置顶），收藏的条目排在 rank 之前
+ * @property {Object} meta - 附加元数据（导入来源、备注、分组、图标等）
+ * @property {string|null} created_at - 添加时间（ISO 8601），版本 5 之前添加的条目为 null
+ * @property {string|null} updated_at - 最后一次添加或修改的时间（ISO 8601），未知时为 null
+ * @property {string|null} last_generated_at - 最后一次生成验证码的时间（ISO 8601），从未生成过时为 null
+ * @property {number} use_count - 生成验证码的次数
  * @readonly
  */
 const a_totp_key = Object.freeze({
+  id: "00000000-0000-4000-8000-000000000000",
   name: "TOTP Key",
   platform: "https://x.com",
   description: "X login 2FA key",
   rank: 1,
   key: "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567",
+  type: "totp",
+  ...totp.DEFAULT_OPTIONS,
+  tags: ["work"],
+  folder: null,
+  favorite: false,
+  meta: {},
+  created_at: "2024-01-01T00:00:00.000Z",
+  updated_at: "2024-01-01T00:00:00.000Z",
+  last_generated_at: null,
+  use_count: 0,
 });
 
 /**
- * 初始化TOTP管理器，加载加密密钥和配置文件
+ * 回收站默认保留天数
+ * @type {number}
+ */
+const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * 当前配置结构版本
+ * @type {number}
+ */
+const CONFIG_VERSION = 5;
+
+/**
+ * 配置迁移步骤，第 i 项把版本 i+1 的配置升级到版本 i+2
+ * @type {Array<Function>}
+ * @private
+ */
+const MIGRATIONS = Object.freeze([
+  // 1 → 2：为每个条目分配永久ID
+  (cfg) => {
+    cfg.keys = cfg.keys ?? [];
+    for (const entry of cfg.keys) {
+      entry.id = entry.id ?? crypto.randomUUID();
+    }
+  },
+  // 2 → 3：标签、文件夹与收藏
+  (cfg) => {
+    for (const entry of cfg.keys) {
+      entry.tags = entry.tags ?? [];
+      entry.folder = entry.folder ?? null;
+      entry.favorite = entry.favorite ?? false;
+    }
+  },
+  // 3 → 4：回收站
+  (cfg) => {
+    cfg.trash = cfg.trash ?? [];
+    cfg.trash_retention_days = cfg.trash_retention_days ?? TRASH_RETENTION_DAYS;
+  },
+  // 4 → 5：使用统计，旧条目的添加时间未知
+  (cfg) => {
+    for (const entry of [...cfg.keys, ...cfg.trash]) {
+      entry.created_at = entry.created_at ?? null;
+      entry.updated_at = entry.updated_at ?? null;
+      entry.last_generated_at = entry.last_generated_at ?? null;
+      entry.use_count = entry.use_count ?? 0;
+    }
+  },
+]);
+
+/**
+ * 密钥管理器错误码
+ * @type {Object.<string, string>}
+ * @property {string} NOT_FOUND - 指定ID的条目不存在
+ * @property {string} INVALID_FIELD - 修改时字段未知或取值非法
+ * @property {string} INVALID_ARGUMENT - 参数非法，如未知的处理方式、生成参数、时间或数量
+ * @property {string} DUPLICATE - 添加的条目与已有条目重复，错误的 details.duplicates 列出重复的条目
+ * @property {string} WRONG_PASSWORD - 主密码错误
+ * @property {string} LOCKED - 密钥库已锁定，需要先用 unlock 解锁
+ * @property {string} SAVE_FAILED - 加密配置写入失败，内存中的修改已回滚
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  NOT_FOUND: "KEY_NOT_FOUND",
+  INVALID_FIELD: "KEY_INVALID_FIELD",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+  DUPLICATE: "KEY_DUPLICATE",
+  WRONG_PASSWORD: "VAULT_WRONG_PASSWORD",
+  LOCKED: "VAULT_LOCKED",
+  SAVE_FAILED: "VAULT_SAVE_FAILED",
+});
+
+/**
+ * 添加重复条目时的处理方式
+ * error：抛出 KEY_DUPLICATE 错误；skip：不添加，返回已有条目的ID；
+ * replace：用新条目覆盖已有条目（保留其ID）；keep_both：照常添加
+ * @type {Array<string>}
+ * @readonly
+ */
+const DUPLICATE_MODES = Object.freeze(["error", "skip", "replace", "keep_both"]);
+
+/**
+ * 从备份恢复时的方式
+ * merge：备份中新的条目加入密钥库，同一ID的条目以较新的修改为准，密钥库中其余条目保留；
+ * replace：密钥库与备份完全一致，备份中没有的条目移入回收站
+ * @type {Array<string>}
+ * @readonly
+ */
+const RESTORE_MODES = Object.freeze(["merge", "replace"]);
+
+/**
+ * 恢复备份时比较的内容字段；HOTP计数器、防重放记录与使用统计是运行状态，按较大值合并而不算内容变化
+ * @type {Array<string>}
+ * @readonly
+ * @private
+ */
+const CONTENT_FIELDS = Object.freeze(["name", "platform", "description", "key", "rank", "type", "algorithm",
+  "digits", "period", "epoch", "tags", "folder", "favorite", "meta"]);
+
+/**
+ * 支持的密钥类型
+ * @type {Array<string>}
+ * @readonly
+ */
+const KEY_TYPES = Object.freeze(["totp", "hotp"]);
+
+/**
+ * 可通过 update_totp_key 修改的字段及其校验函数，校验函数返回写入条目的值
+ * id、type 与 hotp 计数器不可修改：计数器只能由 generate、verify 与 resync_hotp 推进
+ * @type {Object.<string, Function>}
+ * @readonly
+ * @private
+ */
+const EDITABLE_FIELDS = Object.freeze({
+  name: (value) => typec.ensure_type(value, "string", "name:").trim(),
+  description: (value) => typec.ensure_type(value, "string", "description:").trim(),
+  // 与 add_totp_key 一样接受发行方名称等任意文本，只有带协议的值才要求是合法 URL
+  platform: (value) => {
+    const platform = typec.ensure_type(value, "string", "platform:").trim();
+    if (/^https?:\/\//i.test(platform) && !URL.canParse(platform)) {
+      throw new TypeError(`platform: Invalid URL "${platform}"`);
+    }
+    return platform;
+  },
+  key: (value) => {
+    const { secret, warnings } = secret_codec.normalize(typec.ensure_type(value, "string", "key:"));
+    warnings.forEach(warning => log.warn(`Updated key: ${warning}`));
+    return secret;
+  },
+  rank: (value) => {
+    if (!Number.isSafeInteger(typec.ensure_type(value, "number", "rank:"))) {
+      throw new TypeError(`rank: Expected an integer, but got ${value}`);
+    }
+    return value;
+  },
+  algorithm: (value) => typec.ensure_type(value, "string", "algorithm:"),
+  digits: (value) => typec.ensure_type(value, "number", "digits:"),
+  period: (value) => typec.ensure_type(value, "number", "period:"),
+  epoch: (value) => typec.ensure_type(value, "number", "epoch:"),
+  tags: (value) => {
+    try {
+      return normalize_tags(typec.ensure_type_array(value, "string"));
+    } catch {
+      throw new TypeError("tags: Expected an array of strings");
+    }
+  },
+  folder: (value) => {
+    if (value === null) return null;
+    return typec.ensure_type(value, "string", "folder:").trim() || null;
+  },
+  favorite: (value) => typec.ensure_type(value, "boolean", "favorite:"),
+  meta: (value) => {
+    if (!typec.type_check(value, "object") || Array.isArray(value)) {
+      throw new TypeError("meta: Expected a plain object");
+    }
+    return value;
+  },
+});
+
+/**
+ * 搜索时各字段的权重，名称最重要，描述最不重要
+ * @type {Object.<string, number>}
+ * @readonly
+ * @private
+ */
+const SEARCH_WEIGHTS = Object.freeze({
+  name: 1,
+  domain: 0.95,
+  platform: 0.9,
+  tags: 0.85,
+  description: 0.7,
+});
+
+/**
+ * 搜索默认返回的结果数量与允许的最大数量
+ * @type {{default: number, max: number}}
+ * @readonly
+ * @private
+ */
+const SEARCH_LIMIT = Object.freeze({ default: 20, max: 100 });
+
+/**
+ * HOTP重新同步时默认向后查找的计数器数量
+ * @type {number}
+ */
+const HOTP_LOOK_AHEAD = 100;
+
+/**
+ * 使用统计的批量写入间隔（毫秒）：生成验证码只更新内存中的统计，最多这么久之后随一次保存写入；
+ * 期间的任何修改与锁定都会顺带写入，进程异常退出时最多丢失这段时间内的统计
+ * @type {number}
+ * @private
+ */
+const USAGE_FLUSH_MS = 60 * 1000;
+
+/**
+ * 自动锁定的默认设置（毫秒），0 表示不启用
+ * idle_ms 为最后一次操作之后闲置多久锁定，max_age_ms 为解锁之后最长多久必须重新输入主密码
+ * @type {{idle_ms: number, max_age_ms: number}}
+ * @readonly
+ */
+const AUTO_LOCK_DEFAULTS = Object.freeze({ idle_ms: 15 * 60 * 1000, max_age_ms: 12 * 60 * 60 * 1000 });
+
+/**
+ * 每天的毫秒数
+ * @type {number}
+ * @private
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 根据ID取出密钥条目
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @returns {Object} 密钥条目
+ * @throws {Error} 当ID不存在时（code 为 KEY_NOT_FOUND）
+ * @private
+ */
+function entry_by_id(vault, id) {
+  const entry = vault.config.keys.find(item => item.id === id);
+  if (!entry) {
+    throw Object.assign(new Error(`No key with id "${id}".`), { code: ERROR_CODES.NOT_FOUND });
+  }
+  return entry;
+}
+
+/**
+ * 根据ID取出回收站中的条目
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @returns {Object} 回收站中的条目
+ * @throws {Error} 当回收站中没有该ID时（code 为 KEY_NOT_FOUND）
+ * @private
+ */
+function trash_by_id(vault, id) {
+  const entry = vault.config.trash.find(item => item.id === id);
+  if (!entry) {
+    throw Object.assign(new Error(`No key with id "${id}" in the trash.`), { code: ERROR_CODES.NOT_FOUND });
+  }
+  return entry;
+}
+
+/**
+ * 把条目的副本放入回收站
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Object} entry - 密钥条目
+ * @param {string} [deleted_at=new Date().toISOString()] - 删除时间
+ * @private
+ */
+function move_to_trash(vault, entry, deleted_at = new Date().toISOString()) {
+  vault.config.trash.push({ ...entry, deleted_at });
+}
+
+/**
+ * 永久删除回收站中超过保留期的条目
+ * @param {VaultState} vault - 密钥库状态
+ * @param {number} [nowtime=Date.now()] - 毫秒时间戳
+ * @returns {number} 被删除的条目数量
+ * @private
+ */
+function purge_expired(vault, nowtime = Date.now()) {
+  const cutoff = nowtime - vault.config.trash_retention_days * DAY_MS;
+  const before = vault.config.trash.length;
+  vault.config.trash = vault.config.trash.filter(entry => Date.parse(entry.deleted_at) > cutoff);
+  return before - vault.config.trash.length;
+}
+
+/**
+ * 规范化标签列表：去掉首尾空白与空标签，去重并保持原有顺序
+ * @param {Array<string>} tags - 标签
+ * @returns {Array<string>} 规范化后的标签
+ * @private
+ */
+function normalize_tags(tags) {
+  return [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * 按 EDITABLE_FIELDS 校验单个字段
+ * @param {string} field - 字段名
+ * @param {*} value - 字段值
+ * @returns {*} 写入条目的值
+ * @throws {TypeError} 当取值非法时（code 为 KEY_INVALID_FIELD）
+ * @private
+ */
+function check_field(field, value) {
+  try {
+    return EDITABLE_FIELDS[field](value);
+  } catch (error) {
+    throw Object.assign(new TypeError(error.message), { code: ERROR_CODES.INVALID_FIELD });
+  }
+}
+
+/**
+ * 排序比较函数：收藏的条目在前，其次按 rank 升序，其余保持添加顺序
+ * @param {Object} a - 条目
+ * @param {Object} b - 条目
+ * @returns {number} 比较结果
+ * @private
+ */
+function compare_entries(a, b) {
+  return Number(!!b.favorite) - Number(!!a.favorite) || (a.rank ?? 1) - (b.rank ?? 1);
+}
+
+/**
+ * 将密钥转换为规范的 Base32，用于比较
+ * @param {string} value - 密钥
+ * @returns {string|null} 规范化后的密钥，无法解码时为 null
+ * @private
+ */
+function canonical_secret(value) {
+  try {
+    return secret_codec.normalize(value).secret;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 条目的身份：发行方（platform，没有时取 name）加账户名（description），忽略大小写
+ * @param {Object} entry - 密钥条目
+ * @returns {string|null} 身份字符串，发行方或账户名为空时为 null（不参与身份比较）
+ * @private
+ */
+function identity_of(entry) {
+  const issuer = String(entry.platform || entry.name || "").trim().toLowerCase();
+  const account = String(entry.description ?? "").trim().toLowerCase();
+  return issuer && account ? `${issuer}\n${account}` : null;
+}
+
+/**
+ * 在条目列表中查找与给定条目重复的条目，密钥相同的排在前面
+ * @param {Object} entry - 密钥条目
+ * @param {Array<Object>} entries - 要查找的条目
+ * @returns {Array<{entry: Object, reason: string}>} 重复的条目；reason 为 secret（密钥相同）
+ * 或 identity（发行方与账户名相同但密钥不同）
+ * @private
+ */
+function duplicates_in(entry, entries) {
+  const secret = canonical_secret(entry.key);
+  const identity = identity_of(entry);
+  const by_secret = entries.filter(item => item !== entry && secret !== null && canonical_secret(item.key) === secret);
+  const by_identity = entries.filter(item => item !== entry && !by_secret.includes(item) &&
+    identity !== null && identity_of(item) === identity);
+  return [
+    ...by_secret.map(item => ({ entry: item, reason: "secret" })),
+    ...by_identity.map(item => ({ entry: item, reason: "identity" })),
+  ];
+}
+
+/**
+ * 构造重复条目错误
+ * @param {Object} entry - 要添加的条目
+ * @param {Array<{entry: Object, reason: string}>} matches - 重复的条目
+ * @returns {Error} code 为 KEY_DUPLICATE，details.duplicates 为 [{id, reason}]
+ * @private
+ */
+function duplicate_error(entry, matches) {
+  return Object.assign(
+    new Error(`Key "${entry.name}" duplicates ${matches.length} existing entr${matches.length === 1 ? "y" : "ies"}.`),
+    {
+      code: ERROR_CODES.DUPLICATE,
+      details: { duplicates: matches.map(({ entry: item, reason }) => ({ id: item.id, reason })) },
+    });
+}
+
+/**
+ * 构造参数非法的错误
+ * @param {string} message - 错误描述
+ * @returns {RangeError} code 为 INVALID_ARGUMENT
+ * @private
+ */
+function argument_error(message) {
+  return Object.assign(new RangeError(message), { code: ERROR_CODES.INVALID_ARGUMENT });
+}
+
+/**
+ * 合并重复条目的元数据：保留条目的字段优先，空字段由其他条目补全，
+ * 标签取并集，收藏取或，rank 取最小；密钥相同时计数器与防重放记录取最大值，避免验证码被重复使用
+ * @param {Object} keeper - 保留的条目
+ * @param {Array<Object>} others - 被合并的条目
+ * @returns {Object} 应写入保留条目的字段
+ * @private
+ */
+function merge_fields(keeper, others) {
+  const first = (field) => [keeper, ...others].map(item => item[field]).find(value => value) ?? keeper[field];
+  const merged = {
+    name: first("name"),
+    platform: first("platform"),
+    description: first("description"),
+    rank: Math.min(...[keeper, ...others].map(item => item.rank ?? 1)),
+    tags: normalize_tags([keeper, ...others].flatMap(item => item.tags ?? [])),
+    folder: first("folder") ?? null,
+    favorite: [keeper, ...others].some(item => item.favorite),
+    meta: Object.assign({}, ...[...others].reverse().map(item => item.meta ?? {}), keeper.meta ?? {}),
+    created_at: [keeper, ...others].map(item => item.created_at).filter(Boolean).sort()[0] ?? null,
+    last_generated_at: [keeper, ...others].map(item => item.last_generated_at).filter(Boolean).sort().pop() ?? null,
+    use_count: [keeper, ...others].reduce((sum, item) => sum + (item.use_count ?? 0), 0),
+  };
+
+  const twins = others.filter(item => canonical_secret(item.key) === canonical_secret(keeper.key));
+  if ((keeper.type ?? "totp") === "hotp") {
+    const counters = [keeper, ...twins].filter(item => item.type === "hotp").map(item => item.counter ?? 0);
+    merged.counter = Math.max(...counters);
+  } else {
+    const steps = [keeper, ...twins].map(item => item.last_counter).filter(Number.isInteger);
+    if (steps.length) merged.last_counter = Math.max(...steps);
+  }
+  return merged;
+}
+
+/**
+ * 判断字符串是否像平台地址：http(s) URL 或带点的主机名
+ * @param {string} value - 待检查的字符串
+ * @returns {boolean} 是否像URL
+ * @private
+ */
+function is_url_like(value) {
+  if (/^https?:\/\//i.test(value)) {
+    return URL.canParse(value);
+  }
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?(\/\S*)?$/i.test(value);
+}
+
+/**
+ * 从平台地址中取出域名（去掉协议、端口、路径与 www. 前缀）
+ * @param {string} platform - 平台URL、主机名或发行方名称
+ * @returns {string|null} 域名，platform 不像URL时为 null
+ * @private
+ */
+function domain_of(platform) {
+  if (!platform || !is_url_like(platform)) return null;
+  const url = /^https?:\/\//i.test(platform) ? platform : `https://${platform}`;
+  return new URL(url).hostname.replace(/^www\./, "");
+}
+
+/**
+ * 合并重叠或相邻的高亮区间
+ * @param {Array<Array<number>>} ranges - [start, end) 区间
+ * @returns {Array<Array<number>>} 排序并合并后的区间
+ * @private
+ */
+function merge_ranges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * 用全部检索词匹配一个条目，每个检索词都必须命中至少一个字段
+ * @param {Object} entry - 密钥条目
+ * @param {Array<string>} terms - 小写检索词
+ * @returns {{score: number, domain: string|null, highlights: Object}|null} 得分、域名与高亮区间，不匹配时为 null
+ * @private
+ */
+function match_entry(entry, terms) {
+  const domain = domain_of(entry.platform);
+  const fields = [
+    ["name", entry.name],
+    ["platform", entry.platform],
+    ["domain", domain],
+    ["description", entry.description],
+    ...(entry.tags ?? []).map(tag => ["tags", tag]),
+  ];
+
+  let score = 0;
+  const highlights = {};
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, text] of fields) {
+      const found = fuzzy.match(term, text);
+      if (!found) continue;
+      best = Math.max(best, found.score * SEARCH_WEIGHTS[field]);
+      if (field === "tags") {
+        highlights.tags = highlights.tags ?? {};
+        highlights.tags[text] = [...(highlights.tags[text] ?? []), ...found.ranges];
+      } else {
+        highlights[field] = [...(highlights[field] ?? []), ...found.ranges];
+      }
+    }
+    if (!best) return null;
+    score += best;
+  }
+
+  for (const [field, ranges] of Object.entries(highlights)) {
+    if (field === "tags") {
+      for (const tag of Object.keys(ranges)) ranges[tag] = merge_ranges(ranges[tag]);
+    } else {
+      highlights[field] = merge_ranges(ranges);
+    }
+  }
+  return { score: Math.round(score), domain, highlights };
+}
+
+/**
+ * 将旧版本配置逐步迁移到 CONFIG_VERSION
+ * @param {Object} cfg - 解密后的配置
+ * @returns {boolean} 是否发生了迁移（需要保存）
+ * @throws {Error} 当配置版本比当前程序更新时
+ * @private
+ */
+function migrate(cfg) {
+  const from = cfg.version ?? 1;
+  if (from > CONFIG_VERSION) {
+    throw new Error(`Config version ${from} is newer than supported version ${CONFIG_VERSION}.`);
+  }
+  for (let version = from; version < CONFIG_VERSION; version++) {
+    MIGRATIONS[version - 1](cfg);
+  }
+  cfg.version = CONFIG_VERSION;
+  return from !== CONFIG_VERSION;
+}
+
+/**
+ * 提取条目的生成参数，旧版配置中缺失的字段补全为默认值
+ * @param {Object} entry - 密钥条目
+ * @returns {Object} totp条目返回 algorithm/digits/period/epoch，hotp条目返回 algorithm/digits/counter
+ * @throws {RangeError} 当类型或生成参数非法时（code 为 INVALID_ARGUMENT）
+ * @private
+ */
+function entry_options(entry) {
+  const type = entry.type ?? "totp";
+  if (!KEY_TYPES.includes(type)) {
+    throw argument_error(`Unsupported key type: ${type}`);
+  }
+
+  let normalized;
+  try {
+    normalized = totp.normalize_options(entry);
+  } catch (error) {
+    throw argument_error(error.message);
+  }
+  const { algorithm, digits, period, epoch } = normalized;
+  if (type === "totp") {
+    return { type, algorithm, digits, period, epoch };
+  }
+
+  const counter = entry.counter ?? 0;
+  if (!Number.isSafeInteger(counter) || counter < 0) {
+    throw argument_error(`Counter must be a non-negative integer, but got ${counter}`);
+  }
+  return { type, algorithm, digits, counter };
+}
+
+/**
+ * 提取条目的公开信息（不包含敏感的key字段）
+ * @param {Object} entry - 密钥条目
+ * @returns {Object} 条目信息，字段见 get_totp_info
+ * @private
+ */
+function entry_info(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    platform: entry.platform,
+    description: entry.description,
+    rank: entry.rank,
+    ...entry_options(entry),
+    tags: entry.tags ?? [],
+    folder: entry.folder ?? null,
+    favorite: !!entry.favorite,
+    meta: nothing.fallback(entry.meta, {}),
+    created_at: entry.created_at ?? null,
+    updated_at: entry.updated_at ?? null,
+    last_generated_at: entry.last_generated_at ?? null,
+    use_count: entry.use_count ?? 0,
+  };
+}
+
+/**
+ * 记录一次验证码生成：更新条目的使用统计，并安排一次延迟保存（已安排时不重复安排）
+ * 只能在保存队列中的任务里调用，否则进行中的修改失败回滚时会把这次统计一起丢掉
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Object} entry - 密钥条目
+ * @private
+ */
+function record_usage(vault, entry) {
+  entry.last_generated_at = new Date().toISOString();
+  entry.use_count = (entry.use_count ?? 0) + 1;
+  if (vault.usage_timer) return;
+
+  vault.usage_timer = setTimeout(() => {
+    vault.usage_timer = null;
+    save(vault).then((ok) => {
+      if (!ok) log.warn(`Failed to persist usage statistics of vault "${vault.name}".`);
+    }, (error) => {
+      log.warn(`Failed to persist usage statistics of vault "${vault.name}": ${error.message}`);
+    });
+  }, USAGE_FLUSH_MS);
+  vault.usage_timer.unref();
+}
+
+/**
+ * 创建密钥库已锁定的错误
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Error} 错误（code 为 VAULT_LOCKED）
+ * @private
+ */
+function locked_error(vault) {
+  return Object.assign(new Error(`Vault "${vault.name}" is locked.`), { code: ERROR_CODES.LOCKED });
+}
+
+/**
+ * 向健康检查报告密钥库的锁定状态，名称为 "vault:<密钥库名称>"
+ * @param {VaultState} vault - 密钥库状态
+ * @private
+ */
+function report_state(vault) {
+  const { unlocked_at, auto_lock } = vault;
+  health.push_health(`vault:${vault.name}`, "ok", null, {
+    locked: !vault.key,
+    unlocked_at: unlocked_at && new Date(unlocked_at).toISOString(),
+    expires_at: unlocked_at && auto_lock.max_age_ms ? new Date(unlocked_at + auto_lock.max_age_ms).toISOString() : null,
+    locked_reason: vault.locked_reason,
+  });
+}
+
+/**
+ * 安排一次自动锁定
+ * @param {VaultState} vault - 密钥库状态
+ * @param {number} delay - 延迟（毫秒）
+ * @param {string} reason - 锁定原因（idle/max_age）
+ * @returns {NodeJS.Timeout} 定时器
+ * @private
+ */
+function schedule_lock(vault, delay, reason) {
+  const timer = setTimeout(() => {
+    lock(vault, reason).catch((error) => {
+      log.error(`Failed to lock vault "${vault.name}" automatically: ${error.message}`);
+    });
+  }, delay);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * 记录一次操作，重新开始闲置计时
+ * @param {VaultState} vault - 密钥库状态
+ * @private
+ */
+function touch(vault) {
+  if (!vault.key || !vault.auto_lock.idle_ms) return;
+  clearTimeout(vault.idle_timer);
+  vault.idle_timer = schedule_lock(vault, vault.auto_lock.idle_ms, "idle");
+}
+
+/**
+ * 开始新的会话：重新计算最长会话时间与闲置时间，并报告解锁状态
+ * @param {VaultState} vault - 密钥库状态
+ * @private
+ */
+function start_session(vault) {
+  clearTimeout(vault.expiry_timer);
+  vault.expiry_timer = null;
+  vault.unlocked_at = Date.now();
+  if (vault.auto_lock.max_age_ms) {
+    vault.expiry_timer = schedule_lock(vault, vault.auto_lock.max_age_ms, "max_age");
+  }
+  touch(vault);
+  report_state(vault);
+}
+
+/**
+ * 创建主密码错误的错误
+ * @returns {Error} 错误（code 为 VAULT_WRONG_PASSWORD）
+ * @private
+ */
+function wrong_password_error() {
+  return Object.assign(new Error("Master password is incorrect."), { code: ERROR_CODES.WRONG_PASSWORD });
+}
+
+/**
+ * 解锁密钥库：派生加密密钥并加载配置文件；密钥文件不存在时用该密码创建新的密钥库
+ * 已解锁时只校验密码并开始新的会话，自动锁定的计时从现在重新开始
+ * 并发的解锁在解锁队列中依次执行，后到的解锁看到的是前一次解锁完成后的状态，不会重复派生密钥
+ * @param {VaultState} vault - 密钥库状态
  * @param {string} password - 用于密钥派生的密码
  * @returns {Promise<void>}
- * @throws {Error} 当密钥初始化或配置加载失败时
+ * @throws {Error} 当密码错误（code 为 VAULT_WRONG_PASSWORD）、密钥初始化或配置加载失败时
+ * （失败时密钥库保持原来的状态）
  */
-async function init(password) {
-  key = await jsenv_aes.init_encryption(".keyfile", password);
-  config = nothing.fallback(
-    await jsenv_aes.read_config("./config/config.json", key),
-    config);
+async function unlock(vault, password) {
+  const task = vault.unlock_queue.then(() => unlock_now(vault, password));
+  vault.unlock_queue = task.then(nothing.do_nothing, nothing.do_nothing);
+  await task;
 }
 
 /**
- * 保存当前配置到加密文件
- * @returns {Promise<boolean>} 保存是否成功
- * @throws {Error} 当配置保存失败时
+ * 立即执行一次解锁，只能在解锁队列中调用，见 unlock
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} password - 用于密钥派生的密码
+ * @returns {Promise<void>}
+ * @throws {Error} 同 unlock
+ * @private
+ */
+async function unlock_now(vault, password) {
+  if (vault.key) {
+    if (!await check_password(vault, password)) {
+      throw wrong_password_error();
+    }
+    start_session(vault);
+    return;
+  }
+
+  let key;
+  try {
+    key = await jsenv_aes.init_encryption(vault.key_file, password);
+  } catch (error) {
+    if (error.code === jsenv_aes.ERROR_CODES.WRONG_PASSWORD) {
+      throw wrong_password_error();
+    }
+    throw error;
+  }
+  if (!key) {
+    throw new Error("Failed to initialize the vault key.");
+  }
+  let config;
+  let migrated;
+  try {
+    config = nothing.fallback(
+      await jsenv_aes.read_config(vault.config_file, key),
+      empty_config());
+    migrated = migrate(config);
+  } catch (error) {
+    key.fill(0);
+    throw error;
+  }
+  const locked_reason = vault.locked_reason;
+  vault.key = key;
+  vault.config = config;
+  vault.locked_reason = null;
+  start_session(vault);
+  if (migrated && !await save(vault)) {
+    // 迁移后的配置没有写入时不保持解锁，密钥清零，回到解锁前的状态
+    await lock(vault);
+    vault.locked_reason = locked_reason;
+    report_state(vault);
+    throw new Error("Failed to save the migrated config.");
+  }
+}
+
+/**
+ * 把加密密钥清零并丢弃，同时丢弃解密后的配置与尚未写入的使用统计
+ * 不经过保存队列，只能在队列中的任务里调用
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} reason - 锁定原因，见 lock
+ * @private
+ */
+function discard_key(vault, reason) {
+  clearTimeout(vault.usage_timer);
+  vault.usage_timer = null;
+  vault.key?.fill(0);
+  vault.key = null;
+  vault.config = empty_config();
+  vault.unlocked_at = null;
+  vault.locked_reason = reason;
+}
+
+/**
+ * 锁定密钥库：写入尚未保存的使用统计，等待进行中的保存完成后把加密密钥清零并丢弃，同时丢弃解密后的配置
+ * 已锁定时什么也不做
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} [reason="manual"] - 锁定原因：manual 为主动锁定，idle 与 max_age 为自动锁定；
+ * 修改密码在提交后失败时密钥库以 rekey_failed 锁定，见 change_password
+ * @returns {Promise<void>}
+ */
+async function lock(vault, reason = "manual") {
+  if (!vault.key) return;
+  clearTimeout(vault.idle_timer);
+  clearTimeout(vault.expiry_timer);
+  vault.idle_timer = vault.expiry_timer = null;
+
+  if (vault.usage_timer && !await save(vault)) {
+    log.warn(`Failed to persist usage statistics of vault "${vault.name}" before locking.`);
+  }
+  const task = vault.save_queue.then(() => discard_key(vault, reason));
+  vault.save_queue = task.then(nothing.do_nothing, nothing.do_nothing);
+  await task;
+  report_state(vault);
+
+  if (reason !== "manual") {
+    log.info(`Vault "${vault.name}" was locked automatically (${reason}).`);
+    logmy.audit("vault.auto_lock", { vault: vault.name, reason });
+  }
+}
+
+/**
+ * 确认主密码，用于导出密钥等敏感操作前的二次验证
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} password - 用户再次输入的主密码
+ * @returns {Promise<boolean>} 密码是否与当前密钥库一致
+ */
+async function check_password(vault, password) {
+  if (typeof password !== "string" || !password) {
+    return false;
+  }
+  const derived = await jsenv_aes.derive_key_from_file(vault.key_file, password);
+  try {
+    // 派生密钥期间密钥库可能已被锁定
+    if (!vault.key) {
+      throw locked_error(vault);
+    }
+    return crypto.timingSafeEqual(derived, vault.key);
+  } finally {
+    derived.fill(0);
+  }
+}
+
+/**
+ * 修改主密码：校验当前密码，用新的盐值派生新密钥，重新加密配置文件与 `.validate`
+ * 在保存队列中执行，不会与其他修改或写入交错；文件切换是原子的，崩溃后旧密码或新密码之一可用
+ * 提交后收尾失败时无法确定生效的是哪个密码，密钥库立即锁定（原因为 rekey_failed），下一次解锁时完成恢复
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} old_password - 当前主密码
+ * @param {string} new_password - 新主密码
+ * @returns {Promise<void>}
+ * @throws {Error} 当当前密码错误（code 为 VAULT_WRONG_PASSWORD）、
+ * 新密码为空或写入失败时（提交前失败时旧密码仍然有效，提交后失败时 code 为 AES_REKEY_INCOMPLETE）
+ */
+async function change_password(vault, old_password, new_password) {
+  if (!await check_password(vault, old_password)) {
+    throw Object.assign(new Error("The current password is incorrect."), { code: ERROR_CODES.WRONG_PASSWORD });
+  }
+
+  const task = vault.save_queue.then(async () => {
+    if (!vault.key) {
+      throw locked_error(vault);
+    }
+    const old_key = vault.key;
+    let new_key;
+    try {
+      new_key = await jsenv_aes.change_password(vault.key_file, old_password, new_password, {
+        [vault.config_file]: vault.config,
+      });
+    } catch (error) {
+      if (error.code === jsenv_aes.ERROR_CODES.REKEY_INCOMPLETE) {
+        // 旧密钥可能已经解不开磁盘上的文件，继续使用会把配置写成无法恢复的混合状态
+        discard_key(vault, "rekey_failed");
+        report_state(vault);
+        log.error(`Vault "${vault.name}" was locked because the password change could not be completed.`);
+      }
+      throw error;
+    }
+    vault.key = new_key;
+    old_key.fill(0);
+  });
+  vault.save_queue = task.then(nothing.do_nothing, nothing.do_nothing);
+  await task;
+}
+
+/**
+ * 把当前配置写入加密文件，写入前永久删除回收站中超过保留期的条目；待写入的使用统计一并写入
+ * 不经过保存队列，只能在队列中的任务里调用
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<boolean>} 写入是否成功
+ * @private
+ */
+async function persist(vault) {
+  clearTimeout(vault.usage_timer);
+  vault.usage_timer = null;
+  const purged = purge_expired(vault);
+  if (purged) {
+    log.info(`Purged ${purged} expired entr${purged === 1 ? "y" : "ies"} from the trash of vault "${vault.name}".`);
+  }
+  return await jsenv_aes.write_config(vault.config_file, vault.config, vault.key);
+}
+
+/**
+ * 在保存队列中写入当前配置，用于写入使用统计与迁移后的配置
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<boolean>} 写入是否成功
+ * @private
  */
-async function save() {
-  return await jsenv_aes.write_config("./config/config.json", config, key);
+async function save(vault) {
+  const task = vault.save_queue.then(() => persist(vault));
+  vault.save_queue = task.then(nothing.do_nothing, nothing.do_nothing);
+  return await task;
+}
+
+/**
+ * 在保存队列中执行一次修改并写入加密配置，并发请求的修改与写入依次进行，不会交错
+ * 修改抛出错误或写入失败时，内存中的配置回滚到修改前的状态；修改前后配置相同时不写入
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Function} mutation - 修改 vault.config 的函数（可以是 async），返回值原样返回
+ * @returns {Promise<*>} mutation 的返回值
+ * @throws {Error} mutation 抛出的错误；密钥库在排队期间被锁定时（code 为 VAULT_LOCKED）；
+ * 写入失败时（code 为 VAULT_SAVE_FAILED）
+ * @private
+ */
+async function transact(vault, mutation) {
+  const task = vault.save_queue.then(async () => {
+    if (!vault.key) {
+      throw locked_error(vault);
+    }
+    const snapshot = JSON.stringify(vault.config);
+    const rollback = () => {
+      vault.config = JSON.parse(snapshot);
+    };
+
+    let result;
+    try {
+      result = await mutation();
+    } catch (error) {
+      if (JSON.stringify(vault.config) !== snapshot) rollback();
+      throw error;
+    }
+    if (JSON.stringify(vault.config) === snapshot) {
+      return result;
+    }
+    if (!await persist(vault)) {
+      rollback();
+      throw Object.assign(new Error(`Failed to save vault "${vault.name}", the change was rolled back.`),
+        { code: ERROR_CODES.SAVE_FAILED });
+    }
+    return result;
+  });
+  vault.save_queue = task.then(nothing.do_nothing, nothing.do_nothing);
+  return await task;
+}
+
+/**
+ * 校验密钥对象并构造新条目（分配ID，不加入密钥库）
+ * @param {Object} obj - 密钥对象，字段见 add_totp_key
+ * @returns {{entry: Object, warnings: Array<string>}} 新条目以及密钥警告（如密钥过短）
+ * @throws {RangeError} 当类型或生成参数非法时（code 为 INVALID_ARGUMENT）
+ * @throws {TypeError} 当名称、平台、描述、优先级、标签、文件夹、收藏标记或元数据非法时（code 为 KEY_INVALID_FIELD）
+ * @throws {Error} 当密钥无法解码时（code 为 SECRET_INVALID）
+ * @private
+ */
+function build_entry(obj) {
+  const options = entry_options(obj);
+  // 与 update_totp_key 使用同一套字段校验，只有省略的字段取默认值，null 与 update 一样视为非法
+  const name = check_field("name", obj.name === undefined ? "" : obj.name);
+  const platform = check_field("platform", obj.platform === undefined ? "" : obj.platform);
+  const description = check_field("description", obj.description === undefined ? "" : obj.description);
+  const rank = check_field("rank", obj.rank === undefined ? 1 : obj.rank);
+  const tags = check_field("tags", obj.tags ?? []);
+  const folder = check_field("folder", obj.folder ?? null);
+  const favorite = check_field("favorite", obj.favorite ?? false);
+  const meta = check_field("meta", obj.meta ?? {});
+  const { secret, warnings } = secret_codec.normalize(obj.key, obj.encoding);
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    name,
+    platform,
+    description,
+    key: secret,
+    rank,
+    ...options,
+    tags,
+    folder,
+    favorite,
+    meta,
+    created_at: now,
+    updated_at: now,
+    last_generated_at: null,
+    use_count: 0,
+  };
+  return { entry, warnings };
+}
+
+/**
+ * 校验重复处理方式
+ * @param {string} [mode="error"] - 见 DUPLICATE_MODES
+ * @returns {string} 处理方式
+ * @throws {RangeError} 当处理方式未知时（code 为 INVALID_ARGUMENT）
+ * @private
+ */
+function duplicate_mode(mode = "error") {
+  if (!DUPLICATE_MODES.includes(mode)) {
+    throw argument_error(`Unknown duplicate mode "${mode}", expected one of: ${DUPLICATE_MODES.join(", ")}`);
+  }
+  return mode;
 }
 
 /**
  * 添加新的TOTP密钥
+ * 与已有条目密钥相同，或发行方与账户名相同时视为重复，按 options.on_duplicate 处理
+ * @param {VaultState} vault - 密钥库状态
  * @param {Object} obj - TOTP密钥对象
  * @param {string} obj.name - 密钥名称
- * @param {string} obj.platform - 平台URL
+ * @param {string} obj.platform - 平台URL或发行方名称
  * @param {string} obj.description - 密钥描述
- * @param {string} obj.key - TOTP密钥字符串
+ * @param {string} obj.key - 密钥，Base32、十六进制或Base64，见 secret.normalize
+ * @param {string} [obj.encoding] - 指定密钥编码（base32/hex/base64），省略时自动识别
  * @param {number} [obj.rank=1] - 优先级排序，默认为1
- * @returns {Promise<void>}
+ * @param {string} [obj.algorithm="SHA1"] - HMAC算法
+ * @param {number} [obj.digits=6] - 验证码位数
+ * @param {number} [obj.period=30] - 时间步长（秒）
+ * @param {number} [obj.epoch=0] - 起始时间T0（Unix秒）
+ * @param {string} [obj.type="totp"] - 密钥类型（totp/hotp）
+ * @param {number} [obj.counter=0] - HOTP初始计数器，仅hotp类型使用
+ * @param {Array<string>} [obj.tags=[]] - 标签
+ * @param {string|null} [obj.folder=null] - 文件夹
+ * @param {boolean} [obj.favorite=false] - 是否收藏（置顶）
+ * @param {Object} [obj.meta] - 附加元数据（导入来源、备注、分组、图标等）
+ * @param {Object} [options={}] - 添加选项
+ * @param {string} [options.on_duplicate="error"] - 重复时的处理方式，见 DUPLICATE_MODES
+ * @returns {Promise<string>} 新条目的ID；skip 时为已有条目的ID，replace 时为被覆盖条目的ID
+ * @throws {RangeError} 当类型、生成参数或重复处理方式非法时（code 为 INVALID_ARGUMENT）
+ * @throws {TypeError} 当名称、平台、描述、优先级、标签、文件夹、收藏标记或元数据非法时（code 为 KEY_INVALID_FIELD）
+ * @throws {Error} 当密钥无法解码（code 为 SECRET_INVALID）或在 error 模式下重复时（code 为 KEY_DUPLICATE）
+ * @example
+ * const id = await vault.add_totp_key(obj, { on_duplicate: "skip" });
+ */
+async function add_totp_key(vault, obj, options = {}) {
+  const mode = duplicate_mode(options.on_duplicate);
+  const { entry, warnings } = build_entry(obj);
+  const matches = mode === "keep_both" ? [] : duplicates_in(entry, vault.config.keys);
+  if (matches.length && mode === "error") {
+    throw duplicate_error(entry, matches);
+  }
+  if (matches.length && mode === "skip") {
+    return matches[0].entry.id;
+  }
+
+  warnings.forEach(warning => log.warn(`Key "${obj.name}": ${warning}`));
+  if (matches.length) {
+    const existing = matches[0].entry;
+    // 被覆盖前的版本以新ID进入回收站，恢复后与现有条目并存
+    move_to_trash(vault, { ...existing, id: crypto.randomUUID() });
+    for (const field of Object.keys(existing)) {
+      if (field !== "id") delete existing[field];
+    }
+    Object.assign(existing, entry, { id: existing.id, updated_at: new Date().toISOString() });
+    return existing.id;
+  }
+  vault.config.keys.push(entry);
+  return entry.id;
+}
+
+/**
+ * 批量添加密钥，先校验全部条目，任一条目非法（error 模式下包括重复）时一个都不添加
+ * 列表内部的重复同样按 options.on_duplicate 处理
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Array<Object>} list - 密钥对象数组，字段同 add_totp_key
+ * @param {Object} [options={}] - 添加选项，同 add_totp_key
+ * @returns {Promise<Array<string>>} 每个对象对应的条目ID，顺序与list一致，含义同 add_totp_key
+ * @throws {RangeError} 当任一条目的类型、生成参数或重复处理方式非法时（code 为 INVALID_ARGUMENT）
+ * @throws {Error} 当任一条目的密钥无法解码（code 为 SECRET_INVALID）或在 error 模式下重复时（code 为 KEY_DUPLICATE）
+ */
+async function add_totp_keys(vault, list, options = {}) {
+  const mode = duplicate_mode(options.on_duplicate);
+  const built = [];
+  for (const obj of list) {
+    const { entry } = build_entry(obj);
+    const matches = duplicates_in(entry, [...vault.config.keys, ...built]);
+    if (mode === "error" && matches.length) {
+      throw duplicate_error(entry, matches);
+    }
+    built.push(entry);
+  }
+  const ids = [];
+  for (const obj of list) {
+    ids.push(await add_totp_key(vault, obj, options));
+  }
+  return ids;
+}
+
+/**
+ * 通过otpauth URI添加密钥
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} uri - otpauth://totp/... 或 otpauth://hotp/... 格式的URI
+ * @param {Object} [extra={}] - 覆盖解析结果的字段，如 rank 或自定义 name
+ * @param {Object} [options={}] - 添加选项，同 add_totp_key
+ * @returns {Promise<string>} 条目ID，含义同 add_totp_key
+ * @throws {Error} 当URI非法或在 error 模式下重复时
+ */
+async function add_totp_uri(vault, uri, extra = {}, options = {}) {
+  return await add_totp_key(vault, { ...otpauth.parse(uri), ...extra }, options);
+}
+
+/**
+ * 根据ID修改密钥条目的部分字段，未出现在patch中的字段保持不变
+ * 全部字段校验通过后才修改，任一字段非法时条目不做任何修改
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @param {Object} patch - 要修改的字段，可包含 name、platform、description、key、rank、
+ * algorithm、digits、period、epoch、tags（整体替换）、folder、favorite 与 meta（整体替换）
+ * @returns {Promise<Object>} 修改后的条目信息（不含key字段），同 get_totp_info 的单项
+ * @throws {Error} 当ID不存在（code 为 KEY_NOT_FOUND）或字段未知、取值非法时（code 为 KEY_INVALID_FIELD）
+ * @example
+ * await vault.update_totp_key(id, { name: "GitHub", rank: 2 });
+ */
+async function update_totp_key(vault, id, patch) {
+  const totp_key = entry_by_id(vault, id);
+  const invalid = (message) => Object.assign(new TypeError(message), { code: ERROR_CODES.INVALID_FIELD });
+
+  if (!typec.type_check(patch, "object") || Array.isArray(patch)) {
+    throw invalid("The update must be an object of fields to change.");
+  }
+  const unknown = Object.keys(patch).filter(field => !Object.hasOwn(EDITABLE_FIELDS, field));
+  if (unknown.length) {
+    throw invalid(`Unknown or read-only fields: ${unknown.join(", ")}`);
+  }
+
+  const changes = {};
+  for (const [field, value] of Object.entries(patch)) {
+    changes[field] = check_field(field, value);
+  }
+
+  const updated = { ...totp_key, ...changes };
+  try {
+    Object.assign(changes, entry_options(updated));
+  } catch (error) {
+    throw invalid(error.message);
+  }
+
+  Object.assign(totp_key, changes, { updated_at: new Date().toISOString() });
+  if (["key", "period", "epoch"].some(field => field in patch)) {
+    // 换了密钥或时间步后，旧的防重放记录不再适用
+    delete totp_key.last_counter;
+  }
+  return entry_info(totp_key);
+}
+
+/**
+ * 根据ID生成该密钥的otpauth URI，用于导出到其他验证器
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @returns {Promise<string>} otpauth URI（包含密钥，注意保密）
+ * @throws {Error} 当ID不存在或参数无法用URI表示时
+ */
+async function get_totp_uri(vault, id) {
+  const totp_key = entry_by_id(vault, id);
+  return otpauth.build({ ...totp_key, ...entry_options(totp_key) });
+}
+
+/**
+ * 检查密钥库中是否已有相同的密钥（按解码后的字节比较，与编码和书写格式无关）
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} secret - 密钥，Base32、十六进制或Base64
+ * @returns {Promise<boolean>} 是否已存在；secret 无法解码时为 false
+ */
+async function has_secret(vault, secret) {
+  const target = canonical_secret(secret);
+  return target !== null && vault.config.keys.some(entry => canonical_secret(entry.key) === target);
+}
+
+/**
+ * 查找与给定密钥对象重复的已有条目，不修改密钥库
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Object} obj - 密钥对象，字段同 add_totp_key
+ * @returns {Promise<Array<{id: string, reason: string}>>} 重复的条目，密钥相同（secret）的排在
+ * 发行方与账户名相同（identity）的前面
+ * @throws {Error} 当对象本身非法时，同 add_totp_key
+ */
+async function find_duplicate(vault, obj) {
+  return duplicates_in(build_entry(obj).entry, vault.config.keys).map(({ entry, reason }) => ({ id: entry.id, reason }));
+}
+
+/**
+ * 找出密钥库中所有的重复条目簇，并给出合并后的预览
+ * 密钥相同或发行方与账户名相同的条目属于同一簇（可传递）
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<Array<{ids: Array<string>, reasons: Array<string>, entries: Array<Object>, merged: Object}>>}
+ * 每个簇的条目ID（按添加顺序）、重复原因、条目信息以及以第一个条目为保留条目时 merge_duplicates 的结果预览
  */
-async function add_totp_key(obj) {
-  config.keys.push({
-    name: obj.name,
-    platform: obj.platform,
-    description: obj.description,
-    key: obj.key,
-    rank: obj.rank || 1,
-  })
+async function find_duplicates(vault) {
+  const parent = vault.config.keys.map((_, index) => index);
+  const root = (index) => parent[index] === index ? index : (parent[index] = root(parent[index]));
+  const reasons = new Map();
+
+  vault.config.keys.forEach((entry, index) => {
+    for (const { entry: other, reason } of duplicates_in(entry, vault.config.keys.slice(0, index))) {
+      const [a, b] = [root(index), root(vault.config.keys.indexOf(other))];
+      parent[Math.max(a, b)] = Math.min(a, b);
+      reasons.set(Math.min(a, b), new Set([...(reasons.get(a) ?? []), ...(reasons.get(b) ?? []), reason]));
+    }
+  });
+
+  const clusters = new Map();
+  vault.config.keys.forEach((entry, index) => {
+    const group = root(index);
+    clusters.set(group, [...(clusters.get(group) ?? []), entry]);
+  });
+
+  return [...clusters.entries()]
+    .filter(([, entries]) => entries.length > 1)
+    .map(([group, [keeper, ...others]]) => ({
+      ids: [keeper, ...others].map(entry => entry.id),
+      reasons: [...reasons.get(group)].sort(),
+      entries: [keeper, ...others].map(entry_info),
+      merged: entry_info({ ...keeper, ...merge_fields(keeper, others) }),
+    }));
 }
 
 /**
- * 获取所有TOTP密钥的基本信息（不包含敏感的key字段）
+ * 把多个条目合并为一个：保留条目的密钥与生成参数不变，元数据按 merge_fields 合并，其余条目移入回收站
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Array<string>} ids - 要合并的条目ID，至少两个
+ * @param {string} [keep_id=ids[0]] - 保留的条目ID，必须在 ids 中
+ * @returns {Promise<Object>} 合并后的条目信息
+ * @throws {Error} 当ID不存在时（code 为 KEY_NOT_FOUND）
+ * @throws {TypeError} 当 ids 少于两个、有重复或 keep_id 不在其中时（code 为 KEY_INVALID_FIELD）
+ */
+async function merge_duplicates(vault, ids, keep_id = ids?.[0]) {
+  const invalid = (message) => Object.assign(new TypeError(message), { code: ERROR_CODES.INVALID_FIELD });
+  if (!Array.isArray(ids) || ids.length < 2 || new Set(ids).size !== ids.length) {
+    throw invalid("Merging needs at least two distinct entry IDs.");
+  }
+  if (!ids.includes(keep_id)) {
+    throw invalid(`The entry to keep (${keep_id}) must be one of the merged entries.`);
+  }
+
+  const keeper = entry_by_id(vault, keep_id);
+  const others = ids.filter(id => id !== keep_id).map(id => entry_by_id(vault, id));
+  const now = new Date().toISOString();
+  Object.assign(keeper, merge_fields(keeper, others), { updated_at: now });
+  others.forEach(entry => move_to_trash(vault, entry, now));
+  vault.config.keys = vault.config.keys.filter(entry => !others.includes(entry));
+  return entry_info(keeper);
+}
+
+/**
+ * 获取TOTP密钥的基本信息（不包含敏感的key字段），收藏的条目在前，其次按 rank 升序
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Object} [filter={}] - 过滤条件，省略的条件不参与过滤
+ * @param {string} [filter.tag] - 只返回带有该标签的条目
+ * @param {string|null} [filter.folder] - 只返回该文件夹中的条目，null 表示不在任何文件夹中的条目
+ * @param {boolean} [filter.favorite] - 只返回收藏（true）或未收藏（false）的条目
  * @returns {Promise<Array<Object>>} TOTP密钥信息数组
+ * @property {string} id - 密钥ID
  * @property {string} name - 密钥名称
- * @property {string} platform - 平台URL
+ * @property {string} platform - 平台URL或发行方名称
  * @property {string} description - 密钥描述
  * @property {number} rank - 优先级排序
+ * @property {string} algorithm - HMAC算法
+ * @property {number} digits - 验证码位数
+ * @property {number} period - 时间步长（秒）
+ * @property {number} epoch - 起始时间T0（Unix秒）
+ * @property {string} type - 密钥类型（totp/hotp）
+ * @property {number} counter - HOTP下一次使用的计数器，仅hotp类型返回
+ * @property {Array<string>} tags - 标签
+ * @property {string|null} folder - 文件夹
+ * @property {boolean} favorite - 是否收藏
+ * @property {Object} meta - 附加元数据
+ * @property {string|null} created_at - 添加时间，未知时为 null
+ * @property {string|null} updated_at - 最后添加或修改的时间，未知时为 null
+ * @property {string|null} last_generated_at - 最后一次生成验证码的时间，从未生成过时为 null
+ * @property {number} use_count - 生成验证码的次数
  */
-async function get_totp_info() {
-  return config.keys.map(key => ({
-    name: key.name,
-    platform: key.platform,
-    description: key.description,
-    rank: key.rank,
-  }));
+async function get_totp_info(vault, filter = {}) {
+  return vault.config.keys
+    .filter(entry => filter.tag === undefined || (entry.tags ?? []).includes(filter.tag))
+    .filter(entry => filter.folder === undefined || (entry.folder ?? null) === filter.folder)
+    .filter(entry => filter.favorite === undefined || !!entry.favorite === filter.favorite)
+    .sort(compare_entries)
+    .map(entry_info);
 }
 
 /**
- * 根据索引删除TOTP密钥
- * @param {number} index - 要删除的密钥在数组中的索引
+ * 模糊搜索条目，容忍拼写错误，按相关度排序（相关度相同时收藏在前，其次按 rank）
+ * 在名称、平台、平台URL中的域名、描述与标签中查找；查询按空白拆分为多个检索词，每个都必须命中
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} query - 查询文本
+ * @param {Object} [options={}] - 搜索选项
+ * @param {number} [options.limit=20] - 最多返回的结果数量（1~100）
+ * @returns {Promise<Array<Object>>} 条目信息（同 get_totp_info 的单项）加上 score、domain 与 highlights；
+ * highlights 按字段给出 [start, end) 高亮区间，tags 为标签到区间的映射。查询为空时返回空数组
+ * @throws {RangeError} 当 limit 非法时（code 为 INVALID_ARGUMENT）
+ * @example
+ * await vault.search("gthub");
+ * // [{ id: "...", name: "GitHub", ..., score: 42, domain: "github.com",
+ * //    highlights: { name: [[0, 1], [2, 6]], platform: [[0, 1], [2, 6]], domain: [[0, 1], [2, 6]] } }]
+ */
+async function search(vault, query, options = {}) {
+  const limit = options.limit ?? SEARCH_LIMIT.default;
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMIT.max) {
+    throw argument_error(`Limit must be an integer between 1 and ${SEARCH_LIMIT.max}, but got ${limit}`);
+  }
+  const terms = fuzzy.tokenize(query);
+  if (!terms.length) {
+    return [];
+  }
+
+  return vault.config.keys
+    .map(entry => ({ entry, found: match_entry(entry, terms) }))
+    .filter(({ found }) => found)
+    .sort((a, b) => b.found.score - a.found.score || compare_entries(a.entry, b.entry))
+    .slice(0, limit)
+    .map(({ entry, found }) => ({ ...entry_info(entry), ...found }));
+}
+
+/**
+ * 统计每个标签下的条目数量
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<Object.<string, number>>} 标签到条目数量的映射，按标签名排序
+ */
+async function get_tag_counts(vault) {
+  const counts = {};
+  for (const entry of vault.config.keys) {
+    for (const tag of entry.tags ?? []) {
+      counts[tag] = (counts[tag] ?? 0) + 1;
+    }
+  }
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * 统计每个文件夹中的条目数量
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<Object.<string, number>>} 文件夹到条目数量的映射，按文件夹名排序；不在文件夹中的条目不计入
+ */
+async function get_folder_counts(vault) {
+  const counts = {};
+  for (const entry of vault.config.keys) {
+    if (entry.folder) {
+      counts[entry.folder] = (counts[entry.folder] ?? 0) + 1;
+    }
+  }
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * 导出密钥库中全部条目的完整副本（包含密钥），用于备份与导出，注意保密
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<Array<Object>>} 条目副本，修改它们不会影响密钥库
+ */
+async function export_entries(vault) {
+  return structuredClone(vault.config.keys);
+}
+
+/**
+ * 校验并规范化备份中的条目
+ * @param {Object} raw - 备份中的条目
+ * @param {number} index - 条目在备份中的位置，用于错误信息
+ * @returns {Object} 规范化后的条目
+ * @throws {TypeError} 当条目缺少ID或字段非法时（code 为 KEY_INVALID_FIELD）
+ * @private
+ */
+function restored_entry(raw, index) {
+  const invalid = (message) =>
+    Object.assign(new TypeError(`Backup entry ${index + 1}: ${message}`), { code: ERROR_CODES.INVALID_FIELD });
+  if (!typec.type_check(raw, "object") || typeof raw.id !== "string" || !raw.id) {
+    throw invalid("missing entry ID");
+  }
+
+  try {
+    return {
+      ...raw,
+      key: secret_codec.normalize(raw.key).secret,
+      ...entry_options(raw),
+      tags: check_field("tags", raw.tags ?? []),
+      folder: check_field("folder", raw.folder ?? null),
+      favorite: check_field("favorite", raw.favorite ?? false),
+      meta: nothing.fallback(raw.meta, {}),
+      created_at: raw.created_at ?? null,
+      updated_at: raw.updated_at ?? null,
+      last_generated_at: raw.last_generated_at ?? null,
+      use_count: raw.use_count ?? 0,
+    };
+  } catch (error) {
+    throw invalid(error.message);
+  }
+}
+
+/**
+ * 用备份中的版本更新已有条目时合并运行状态：计数器、防重放记录与使用统计取不会倒退的值
+ * @param {Object} existing - 密钥库中的条目
+ * @param {Object} incoming - 备份中的条目
+ * @returns {Object} 更新后的条目
+ * @private
+ */
+function merge_restored(existing, incoming) {
+  const entry = {
+    ...incoming,
+    created_at: [existing.created_at, incoming.created_at].filter(Boolean).sort()[0] ?? null,
+    last_generated_at: [existing.last_generated_at, incoming.last_generated_at].filter(Boolean).sort().pop() ?? null,
+    use_count: Math.max(existing.use_count ?? 0, incoming.use_count ?? 0),
+  };
+  // 换了密钥或时间步时旧的计数器不再适用，直接采用备份中的值
+  if (["type", "key", "period", "epoch"].some(field => existing[field] !== incoming[field])) {
+    return entry;
+  }
+  if (incoming.type === "hotp") {
+    entry.counter = Math.max(existing.counter ?? 0, incoming.counter);
+  } else {
+    const steps = [existing.last_counter, incoming.last_counter].filter(Number.isInteger);
+    if (steps.length) entry.last_counter = Math.max(...steps);
+  }
+  return entry;
+}
+
+/**
+ * 把备份中的条目恢复到密钥库，先比较差异，dry_run 时只返回差异不做修改
+ * 同一ID的条目内容不同时：replace 模式以备份为准，merge 模式以修改时间较新的一方为准；
+ * merge 模式下与已有条目重复（密钥相同，或发行方与账户名相同）但ID不同的备份条目会被跳过。
+ * 被覆盖的旧版本以新ID进入回收站，replace 模式下备份中没有的条目也移入回收站；
+ * 新增的条目若仍在回收站中（删除后又从备份恢复），回收站中的同ID条目被移除，避免同一ID同时存在于两处
+ * @param {VaultState} vault - 密钥库状态
+ * @param {Array<Object>} entries - 备份中的完整条目，见 backup.unpack
+ * @param {Object} [options={}] - 恢复选项
+ * @param {string} [options.mode="merge"] - 恢复方式，见 RESTORE_MODES
+ * @param {boolean} [options.dry_run=false] - 只返回差异，不修改密钥库
+ * @returns {Promise<{mode: string, dry_run: boolean,
+ *   counts: {added: number, updated: number, unchanged: number, skipped: number, removed: number},
+ *   added: Array<Object>, updated: Array<Object>, skipped: Array<Object>, removed: Array<Object>}>}
+ * 差异；各列表的元素为条目信息（同 get_totp_info 的单项，不含密钥），updated 的元素另有 fields（变化的字段名），
+ * skipped 的元素另有 reason（newer 为密钥库中的版本较新，secret 或 identity 为与 duplicate_of 重复）
+ * @throws {RangeError} 当恢复方式未知时（code 为 INVALID_ARGUMENT）
+ * @throws {TypeError} 当备份条目非法或ID重复时（code 为 KEY_INVALID_FIELD）
+ */
+async function restore_entries(vault, entries, options = {}) {
+  const mode = options.mode ?? "merge";
+  if (!RESTORE_MODES.includes(mode)) {
+    throw argument_error(`Unknown restore mode "${mode}", expected one of: ${RESTORE_MODES.join(", ")}`);
+  }
+  const incoming = entries.map(restored_entry);
+  const ids = new Set(incoming.map(entry => entry.id));
+  if (ids.size !== incoming.length) {
+    throw Object.assign(new TypeError("The backup contains the same entry ID more than once."),
+      { code: ERROR_CODES.INVALID_FIELD });
+  }
+
+  const current = new Map(vault.config.keys.map(entry => [entry.id, entry]));
+  const plan = { added: [], updated: [], unchanged: [], skipped: [], removed: [] };
+  for (const entry of incoming) {
+    const existing = current.get(entry.id);
+    if (!existing) {
+      const [duplicate] = mode === "merge" ? duplicates_in(entry, vault.config.keys) : [];
+      if (duplicate) {
+        plan.skipped.push({ ...entry_info(entry), reason: duplicate.reason, duplicate_of: duplicate.entry.id });
+      } else {
+        plan.added.push(entry);
+      }
+      continue;
+    }
+
+    const fields = CONTENT_FIELDS.filter(field =>
+      JSON.stringify(existing[field] ?? null) !== JSON.stringify(entry[field] ?? null));
+    if (!fields.length) {
+      plan.unchanged.push(entry);
+    } else if (mode === "merge" && Date.parse(existing.updated_at) > Date.parse(entry.updated_at)) {
+      plan.skipped.push({ ...entry_info(entry), reason: "newer" });
+    } else {
+      plan.updated.push({ existing, entry, fields });
+    }
+  }
+  if (mode === "replace") {
+    plan.removed = vault.config.keys.filter(entry => !ids.has(entry.id));
+  }
+
+  const dry_run = !!options.dry_run;
+  if (!dry_run) {
+    const now = new Date().toISOString();
+    for (const { existing, entry } of plan.updated) {
+      move_to_trash(vault, { ...existing, id: crypto.randomUUID() }, now);
+      vault.config.keys[vault.config.keys.indexOf(existing)] = merge_restored(existing, entry);
+    }
+    plan.removed.forEach(entry => move_to_trash(vault, entry, now));
+    vault.config.keys = vault.config.keys.filter(entry => !plan.removed.includes(entry));
+    vault.config.keys.push(...plan.added);
+    const added_ids = new Set(plan.added.map(entry => entry.id));
+    vault.config.trash = vault.config.trash.filter(entry => !added_ids.has(entry.id));
+  }
+
+  return {
+    mode,
+    dry_run,
+    counts: Object.fromEntries(Object.entries(plan).map(([kind, list]) => [kind, list.length])),
+    added: plan.added.map(entry_info),
+    updated: plan.updated.map(({ entry, fields }) => ({ ...entry_info(entry), fields })),
+    skipped: plan.skipped,
+    removed: plan.removed.map(entry_info),
+  };
+}
+
+/**
+ * 列出闲置的条目：最后一次生成验证码早于 days 天前，或从未生成过且添加时间早于 days 天前（添加时间未知的也算），
+ * 用于审计与清理；闲置最久的在前，添加时间未知且从未使用的排在最前
+ * @param {VaultState} vault - 密钥库状态
+ * @param {number} days - 闲置天数（1~3650）
+ * @param {number} [nowtime=Date.now()] - 毫秒时间戳
+ * @returns {Promise<Array<Object>>} 条目信息（同 get_totp_info 的单项）加上 idle_days：
+ * 距最后一次使用（从未使用时为添加）的整天数，两者都未知时为 null
+ * @throws {RangeError} 当天数不是 1~3650 之间的整数时（code 为 INVALID_ARGUMENT）
+ */
+async function find_stale(vault, days, nowtime = Date.now()) {
+  if (!Number.isInteger(days) || days < 1 || days > 3650) {
+    throw argument_error(`Days must be an integer between 1 and 3650, but got ${JSON.stringify(days)}`);
+  }
+  const cutoff = nowtime - days * DAY_MS;
+  return vault.config.keys
+    .map(entry => {
+      const since = entry.last_generated_at ?? entry.created_at;
+      return { entry, at: since ? Date.parse(since) : -Infinity };
+    })
+    .filter(({ at }) => at < cutoff)
+    .sort((a, b) => a.at - b.at || compare_entries(a.entry, b.entry))
+    .map(({ entry, at }) => ({
+      ...entry_info(entry),
+      idle_days: at === -Infinity ? null : Math.floor((nowtime - at) / DAY_MS),
+    }));
+}
+
+/**
+ * 在所有条目中重命名标签；条目已有新标签时两者合并为一个
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} from - 原标签
+ * @param {string} to - 新标签
+ * @returns {Promise<number>} 被修改的条目数量
+ * @throws {TypeError} 当标签不是非空字符串时（code 为 KEY_INVALID_FIELD）
+ */
+async function rename_tag(vault, from, to) {
+  const [old_tag, new_tag] = [from, to].map(tag => typeof tag === "string" ? tag.trim() : "");
+  if (!old_tag || !new_tag) {
+    throw Object.assign(new TypeError("Tag names must be non-empty strings."), { code: ERROR_CODES.INVALID_FIELD });
+  }
+
+  if (old_tag === new_tag) {
+    return 0;
+  }
+
+  let changed = 0;
+  const now = new Date().toISOString();
+  for (const entry of vault.config.keys) {
+    if (!(entry.tags ?? []).includes(old_tag)) continue;
+    entry.tags = normalize_tags(entry.tags.map(tag => tag === old_tag ? new_tag : tag));
+    entry.updated_at = now;
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * 根据ID删除TOTP密钥：条目移入回收站，保留期内可以用 restore_totp_key 恢复
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 要删除的密钥ID
  * @returns {Promise<void>}
- * @throws {Error} 当索引超出范围时
+ * @throws {Error} 当ID不存在时（code 为 KEY_NOT_FOUND）
+ */
+async function remove_totp_key(vault, id) {
+  const entry = entry_by_id(vault, id);
+  move_to_trash(vault, entry);
+  vault.config.keys.splice(vault.config.keys.indexOf(entry), 1);
+}
+
+/**
+ * 列出回收站中的条目（不包含敏感的key字段），最近删除的在前
+ * @param {VaultState} vault - 密钥库状态
+ * @returns {Promise<Array<Object>>} 条目信息（同 get_totp_info 的单项）加上 deleted_at 与 purge_at（ISO 8601）
+ */
+async function list_trash(vault) {
+  return [...vault.config.trash]
+    .sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at))
+    .map(entry => ({
+      ...entry_info(entry),
+      deleted_at: entry.deleted_at,
+      purge_at: new Date(Date.parse(entry.deleted_at) + vault.config.trash_retention_days * DAY_MS).toISOString(),
+    }));
+}
+
+/**
+ * 从回收站恢复条目，保留原来的ID
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @returns {Promise<Object>} 恢复后的条目信息
+ * @throws {Error} 当回收站中没有该ID（code 为 KEY_NOT_FOUND）或已有同ID的条目时（code 为 KEY_DUPLICATE）
+ */
+async function restore_totp_key(vault, id) {
+  const entry = trash_by_id(vault, id);
+  if (vault.config.keys.some(item => item.id === id)) {
+    throw Object.assign(new Error(`A key with id "${id}" is already in the vault.`), {
+      code: ERROR_CODES.DUPLICATE,
+      details: { duplicates: [{ id, reason: "id" }] },
+    });
+  }
+  vault.config.trash.splice(vault.config.trash.indexOf(entry), 1);
+  const { deleted_at, ...restored } = entry;
+  vault.config.keys.push(restored);
+  return entry_info(restored);
+}
+
+/**
+ * 永久删除回收站中的条目，无法恢复
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} [id] - 密钥ID，省略时清空回收站
+ * @returns {Promise<number>} 被删除的条目数量
+ * @throws {Error} 当指定的ID不在回收站中时（code 为 KEY_NOT_FOUND）
+ */
+async function purge_trash(vault, id) {
+  if (id === undefined) {
+    const count = vault.config.trash.length;
+    vault.config.trash = [];
+    return count;
+  }
+  const before = vault.config.trash.length;
+  trash_by_id(vault, id);
+  vault.config.trash = vault.config.trash.filter(entry => entry.id !== id);
+  return before - vault.config.trash.length;
+}
+
+/**
+ * 设置回收站保留天数，超过新保留期的条目随本次写入永久删除
+ * @param {VaultState} vault - 密钥库状态
+ * @param {number} days - 保留天数（1~3650）
+ * @returns {Promise<number>} 设置后的保留天数
+ * @throws {RangeError} 当天数不是 1~3650 之间的整数时（code 为 INVALID_ARGUMENT）
+ */
+async function set_trash_retention(vault, days) {
+  if (!Number.isInteger(days) || days < 1 || days > 3650) {
+    throw argument_error(`Trash retention must be an integer number of days between 1 and 3650, but got ${JSON.stringify(days)}`);
+  }
+  vault.config.trash_retention_days = days;
+  return days;
+}
+
+/**
+ * 根据ID生成验证码，并记录条目的使用统计（last_generated_at 与 use_count，见 USAGE_FLUSH_MS）
+ * totp条目返回指定时刻所在时间步的验证码、有效区间和下一个时间步的验证码，统计稍后批量写入；
+ * hotp条目忽略nowtime，在保存队列中递增计数器并写入加密配置，写入成功后才返回验证码，时间相关字段为null
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @param {number} [nowtime=Date.now()] - 毫秒时间戳，可传入过去或将来的时刻用于排查
+ * @returns {Promise<{code: string, counter: number, period: number|null, remaining: number|null,
+ *   valid_from: number|null, valid_until: number|null, next: string|null}>}
+ * 验证码（位数由digits决定）、使用的计数器、时间步长（秒）、距下一次更换的秒数、
+ * 当前验证码的起止毫秒时间戳（valid_until 不含）以及下一个时间步的验证码，见 totp.generate_window
+ * @throws {RangeError} 当nowtime不是有限数值或早于条目的起始时间T0时（code 为 INVALID_ARGUMENT）
+ * @throws {Error} 当ID不存在、生成失败或HOTP计数器写入失败时（code 为 VAULT_SAVE_FAILED）
+ * @example
+ * const { code, remaining, next } = await vault.generate(id);
+ * const past = await vault.generate(id, Date.parse("2024-05-01T12:00:00Z"));
+ */
+async function generate(vault, id, nowtime = Date.now()) {
+  const totp_key = entry_by_id(vault, id);
+  const options = entry_options(totp_key);
+
+  if (options.type === "totp") {
+    if (!Number.isFinite(nowtime) || nowtime < options.epoch * 1000) {
+      throw argument_error(`Time must be a finite millisecond timestamp not before T0 (${options.epoch * 1000}), ` +
+        `but got ${nowtime}`);
+    }
+    const result = totp.generate_window(totp_key.key, nowtime, options);
+    // 统计在保存队列中记录，不会混入进行中修改的快照而随其回滚丢失；只安排延迟保存，不在这里写入磁盘。
+    // 排队期间条目被删除或密钥库被锁定时不再记录
+    const task = vault.save_queue.then(() => {
+      const entry = vault.config.keys.find(item => item.id === id);
+      if (vault.key && entry) record_usage(vault, entry);
+    });
+    vault.save_queue = task.then(nothing.do_nothing, nothing.do_nothing);
+    await task;
+    return result;
+  }
+
+  // 计数器在保存队列中读取并递增，并发请求不会拿到同一个计数器。
+  // 写入失败时计数器回滚：验证码没有发出，之后再次使用同一个计数器是安全的。
+  return await transact(vault, () => {
+    const entry = entry_by_id(vault, id);
+    const current = entry_options(entry);
+    entry.counter = current.counter + 1;
+    record_usage(vault, entry);
+    return {
+      code: totp.hotp(entry.key, current.counter, current),
+      counter: current.counter,
+      period: null,
+      remaining: null,
+      valid_from: null,
+      valid_until: null,
+      next: null,
+    };
+  });
+}
+
+/**
+ * 根据ID校验验证码，并记住该条目最后一次接受的时间步，同一验证码不能被使用两次
+ * totp条目允许前后window个时间步的漂移；hotp条目从当前计数器起向后查找window个计数器，
+ * 匹配后计数器移动到匹配位置之后
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @param {string} code - 待校验的验证码
+ * @param {number} [window=1] - 允许的漂移（totp）或向后查找（hotp）的步数，0~totp.MAX_WINDOW 之间的整数
+ * @returns {Promise<{valid: boolean, delta: number|null, counter: number|null, replayed: boolean}>}
+ * 校验结果，见 totp.verify
+ * @throws {Error} 当ID不存在时（code 为 KEY_NOT_FOUND）
+ * @throws {RangeError} 当 window 非法或当前时间早于条目的起始时间T0时（code 为 INVALID_ARGUMENT）
+ */
+async function verify(vault, id, code, window = 1) {
+  const totp_key = entry_by_id(vault, id);
+  const options = entry_options(totp_key);
+  if (!Number.isInteger(window) || window < 0 || window > totp.MAX_WINDOW) {
+    throw argument_error(`Window must be an integer between 0 and ${totp.MAX_WINDOW}, but got ${JSON.stringify(window)}`);
+  }
+
+  let result;
+  if (options.type === "totp") {
+    try {
+      result = totp.verify(totp_key.key, code, {
+        ...options,
+        window,
+        last_counter: totp_key.last_counter ?? null,
+      });
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      throw argument_error(error.message);
+    }
+  } else {
+    const counter = totp.match_counter(totp_key.key, code,
+      options.counter, options.counter + window, options);
+    result = counter === null
+      ? { valid: false, delta: null, counter: null, replayed: false }
+      : { valid: true, delta: counter - options.counter, counter, replayed: false };
+  }
+
+  if (!result.valid) {
+    return result;
+  }
+
+  if (options.type === "totp") {
+    totp_key.last_counter = result.counter;
+  } else {
+    totp_key.counter = result.counter + 1;
+  }
+  return result;
+}
+
+/**
+ * 使用用户输入的两个连续HOTP验证码重新同步计数器
+ * 从当前计数器开始向后查找，找到连续匹配的位置后将计数器设为其后一位
+ * @param {VaultState} vault - 密钥库状态
+ * @param {string} id - 密钥ID
+ * @param {string} code1 - 第一个验证码
+ * @param {string} code2 - 紧接着的第二个验证码
+ * @param {number} [look_ahead=HOTP_LOOK_AHEAD] - 最多向后查找的计数器数量
+ * @returns {Promise<number>} 同步后的计数器（下一次生成将使用的值）
+ * @throws {RangeError} 当条目不是hotp类型时（code 为 INVALID_ARGUMENT）
+ * @throws {Error} 当查找范围内没有匹配时
  */
-async function remove_totp_key(index) {
-    config.keys.splice(index, 1);
+async function resync_hotp(vault, id, code1, code2, look_ahead = HOTP_LOOK_AHEAD) {
+  const totp_key = entry_by_id(vault, id);
+  const options = entry_options(totp_key);
+  if (options.type !== "hotp") {
+    throw argument_error("Only HOTP keys can be resynchronized.");
+  }
+
+  const start = options.counter;
+  for (let counter = start; counter <= start + look_ahead; counter++) {
+    if (totp.hotp(totp_key.key, counter, options) === String(code1) &&
+      totp.hotp(totp_key.key, counter + 1, options) === String(code2)) {
+      totp_key.counter = counter + 2;
+      return totp_key.counter;
+    }
+  }
+
+  throw new Error(`No consecutive HOTP codes matched within ${look_ahead} counters.`);
 }
 
 /**
- * 根据索引生成TOTP验证码
- * @param {number} index - 密钥在数组中的索引
- * @returns {Promise<string>} 6位数字的TOTP验证码
- * @throws {Error} 当索引超出范围或TOTP生成失败时
+ * 打开一个密钥库，返回绑定到该库状态的管理器
+ * 管理器的方法与本模块中的同名函数相同，只是省略第一个参数 vault；新打开的密钥库处于锁定状态，
+ * 除 unlock、lock 与 is_unlocked 外，锁定时调用任何方法都会抛出错误（code 为 VAULT_LOCKED），
+ * 其余每次调用都会重新开始闲置计时；闲置或会话到达最长时间后自动锁定，见 AUTO_LOCK_DEFAULTS。
+ * 修改密钥库的方法经 transact 执行：修改后自动写入加密配置，写入失败时回滚并抛出错误（code 为 VAULT_SAVE_FAILED）
+ * @param {Object} options - 密钥库的名称、文件位置与自动锁定设置
+ * @param {string} options.name - 密钥库名称，用于日志、错误信息与健康检查
+ * @param {string} options.key_file - 密钥文件路径，`.validate` 位于同一目录
+ * @param {string} options.config_file - 加密配置文件路径
+ * @param {{idle_ms: number, max_age_ms: number}} [options.auto_lock=AUTO_LOCK_DEFAULTS] - 自动锁定设置
+ * @returns {VaultManager} 密钥库管理器
+ * @example
+ * const vault = totpmgr.open_vault({ name: "ops", key_file: "./vaults/ops/.keyfile",
+ *   config_file: "./vaults/ops/config.json", auto_lock: { idle_ms: 5 * 60 * 1000, max_age_ms: 0 } });
+ * await vault.unlock(password);
+ * const id = await vault.add_totp_key({ name: "GitHub", key: "JBSWY3DPEHPK3PXP" }); // 已写入磁盘
+ * const keys = await vault.get_totp_info();
+ * await vault.lock();
  */
-async function generate(index) {
-  const totp_key = config.keys[index];
-  return jsenv_aes.generate_totp(totp_key.key);
+function open_vault({ name, key_file, config_file, auto_lock = AUTO_LOCK_DEFAULTS }) {
+  const vault = {
+    name,
+    key_file,
+    config_file,
+    key: null,
+    config: empty_config(),
+    save_queue: Promise.resolve(),
+    unlock_queue: Promise.resolve(),
+    usage_timer: null,
+    auto_lock: { ...AUTO_LOCK_DEFAULTS, ...auto_lock },
+    unlocked_at: null,
+    idle_timer: null,
+    expiry_timer: null,
+    locked_reason: null,
+  };
+  const unlocked = (fn) => async (...args) => {
+    if (!vault.key) {
+      throw locked_error(vault);
+    }
+    touch(vault);
+    return await fn(vault, ...args);
+  };
+  const mutation = (fn) => unlocked((_, ...args) => transact(vault, () => fn(vault, ...args)));
+
+  const manager = Object.freeze({
+    name,
+    unlock: (password) => unlock(vault, password),
+    lock: () => lock(vault),
+    is_unlocked: () => vault.key !== null,
+    check_password: unlocked(check_password),
+    change_password: unlocked(change_password),
+    add_totp_key: mutation(add_totp_key),
+    add_totp_keys: mutation(add_totp_keys),
+    add_totp_uri: mutation(add_totp_uri),
+    update_totp_key: mutation(update_totp_key),
+    get_totp_uri: unlocked(get_totp_uri),
+    remove_totp_key: mutation(remove_totp_key),
+    list_trash: unlocked(list_trash),
+    restore_totp_key: mutation(restore_totp_key),
+    purge_trash: mutation(purge_trash),
+    set_trash_retention: mutation(set_trash_retention),
+    has_secret: unlocked(has_secret),
+    find_duplicate: unlocked(find_duplicate),
+    find_duplicates: unlocked(find_duplicates),
+    merge_duplicates: mutation(merge_duplicates),
+    get_totp_info: unlocked(get_totp_info),
+    search: unlocked(search),
+    get_tag_counts: unlocked(get_tag_counts),
+    get_folder_counts: unlocked(get_folder_counts),
+    find_stale: unlocked(find_stale),
+    export_entries: unlocked(export_entries),
+    // dry_run 只比较差异，不进入保存队列
+    restore_entries: unlocked((_, entries, options = {}) => options.dry_run
+      ? restore_entries(vault, entries, options)
+      : transact(vault, () => restore_entries(vault, entries, options))),
+    rename_tag: mutation(rename_tag),
+    generate: unlocked(generate),
+    verify: mutation(verify),
+    resync_hotp: mutation(resync_hotp),
+  });
+  report_state(vault);
+  return manager;
 }
 
+/**
+ * 密钥库管理器，open_vault 的返回值；方法与本模块中的同名函数相同，省略第一个参数 vault
+ * @typedef {Object} VaultManager
+ * @property {string} name - 密钥库名称
+ * @property {Function} unlock - 解锁密钥库，首次使用时创建
+ * @property {Function} lock - 锁定密钥库
+ * @property {Function} is_unlocked - 是否已解锁
+ * @property {Function} check_password - 确认主密码
+ * @property {Function} change_password - 修改主密码
+ * @property {Function} add_totp_key - 添加TOTP密钥
+ * @property {Function} add_totp_keys - 批量添加密钥
+ * @property {Function} add_totp_uri - 通过otpauth URI添加密钥
+ * @property {Function} update_totp_key - 修改密钥条目
+ * @property {Function} get_totp_uri - 生成密钥的otpauth URI
+ * @property {Function} remove_totp_key - 删除TOTP密钥（移入回收站）
+ * @property {Function} list_trash - 列出回收站中的条目
+ * @property {Function} restore_totp_key - 从回收站恢复条目
+ * @property {Function} purge_trash - 永久删除回收站中的条目
+ * @property {Function} set_trash_retention - 设置回收站保留天数
+ * @property {Function} has_secret - 检查密钥是否已存在
+ * @property {Function} find_duplicate - 查找与密钥对象重复的条目
+ * @property {Function} find_duplicates - 列出密钥库中的重复条目簇
+ * @property {Function} merge_duplicates - 合并重复条目
+ * @property {Function} get_totp_info - 获取密钥信息，可按标签、文件夹或收藏过滤
+ * @property {Function} search - 模糊搜索条目
+ * @property {Function} get_tag_counts - 统计每个标签的条目数量
+ * @property {Function} get_folder_counts - 统计每个文件夹的条目数量
+ * @property {Function} find_stale - 列出闲置的条目
+ * @property {Function} export_entries - 导出全部条目的完整副本（包含密钥）
+ * @property {Function} restore_entries - 从备份恢复条目，可先查看差异
+ * @property {Function} rename_tag - 重命名标签
+ * @property {Function} generate - 生成TOTP/HOTP验证码
+ * @property {Function} verify - 校验验证码并防止重放
+ * @property {Function} resync_hotp - 重新同步HOTP计数器
+ */
+
 /**
  * TOTP管理器模块导出对象
  * @namespace TOTPManager
- * @property {Function} init - 初始化管理器
- * @property {Function} save - 保存配置
- * @property {Function} add_totp_key - 添加TOTP密钥
- * @property {Function} remove_totp_key - 删除TOTP密钥
- * @property {Function} get_totp_info - 获取密钥信息
- * @property {Function} generate - 生成TOTP验证码
+ * @property {Function} open_vault - 打开密钥库，返回绑定到该库的管理器
  * @property {Object} a_totp_key - 示例TOTP密钥对象
+ * @property {Object} ERROR_CODES - 错误码
+ * @property {Array<string>} DUPLICATE_MODES - 重复条目的处理方式
+ * @property {Array<string>} RESTORE_MODES - 从备份恢复的方式
+ * @property {Object} AUTO_LOCK_DEFAULTS - 自动锁定的默认设置
  * @readonly
  */
 export default Object.freeze({
-  init,
-  save,
-  add_totp_key,
-  remove_totp_key,
-  get_totp_info,
-  generate,
+  open_vault,
   a_totp_key,
+  ERROR_CODES,
+  DUPLICATE_MODES,
+  RESTORE_MODES,
+  AUTO_LOCK_DEFAULTS,
 });
\ No newline at end of file
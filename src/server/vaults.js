@@ -0,0 +1,228 @@
+/**
+ * @fileoverview 密钥库注册表
+ * @description 管理同一服务中的多个独立密钥库（如个人、团队运维、某个客户），
+ * 每个密钥库有自己的密钥文件、主密码与存储目录，可以分别解锁与锁定。
+ * 默认密钥库沿用原来的位置（`.keyfile` 与 `./config/config.json`），
+ * 其他密钥库存放在 `./vaults/<名称>/` 下；注册表不单独保存，按目录中的密钥文件发现。
+ */
+
+"use strict";
+
+import fs from "fs";
+import path from "path";
+import logmy from "../utils/logmy.js";
+import totpmgr from "./totpmgr.js";
+
+const log = logmy.get_logger("Vaults");
+
+/**
+ * 默认密钥库名称，未指定密钥库的请求使用它
+ * @type {string}
+ */
+const DEFAULT_VAULT = "default";
+
+/**
+ * 其他密钥库的根目录
+ * @type {string}
+ * @private
+ */
+const VAULTS_DIR = "./vaults";
+
+/**
+ * 密钥库名称格式：小写字母或数字开头，由小写字母、数字、短横线与下划线组成，最长32个字符
+ * @type {RegExp}
+ * @private
+ */
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * 自动锁定时间的上限（分钟），不超过 setTimeout 能表示的最长延迟
+ * @type {number}
+ * @private
+ */
+const MAX_LOCK_MINUTES = 14 * 24 * 60;
+
+/**
+ * 密钥库注册表错误码
+ * @type {Object.<string, string>}
+ * @property {string} NOT_FOUND - 密钥库不存在
+ * @property {string} EXISTS - 同名密钥库已存在
+ * @property {string} INVALID_NAME - 密钥库名称不合法
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  NOT_FOUND: "VAULT_NOT_FOUND",
+  EXISTS: "VAULT_EXISTS",
+  INVALID_NAME: "VAULT_INVALID_NAME",
+});
+
+/**
+ * 已打开的密钥库管理器，按名称索引
+ * @type {Map<string, Object>}
+ * @private
+ */
+const opened = new Map();
+
+/**
+ * 之后打开的密钥库使用的自动锁定设置，见 configure
+ * @type {{idle_ms: number, max_age_ms: number}}
+ * @private
+ */
+let auto_lock = totpmgr.AUTO_LOCK_DEFAULTS;
+
+/**
+ * 校验密钥库名称
+ * @param {string} name - 密钥库名称
+ * @returns {string} 名称
+ * @throws {Error} 当名称不合法时（code 为 VAULT_INVALID_NAME）
+ * @private
+ */
+function check_name(name) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    throw Object.assign(new Error(`Invalid vault name ${JSON.stringify(name)}: use 1-32 lowercase letters, ` +
+      "digits, \"-\" or \"_\", starting with a letter or digit."), { code: ERROR_CODES.INVALID_NAME });
+  }
+  return name;
+}
+
+/**
+ * 密钥库的文件位置
+ * @param {string} name - 密钥库名称
+ * @returns {{name: string, key_file: string, config_file: string}} 传给 totpmgr.open_vault 的参数
+ * @private
+ */
+function paths_of(name) {
+  if (name === DEFAULT_VAULT) {
+    return { name, key_file: ".keyfile", config_file: "./config/config.json" };
+  }
+  const dir = path.join(VAULTS_DIR, name);
+  return { name, key_file: path.join(dir, ".keyfile"), config_file: path.join(dir, "config.json") };
+}
+
+/**
+ * 判断密钥库是否存在；默认密钥库总是存在（首次解锁时创建）
+ * @param {string} name - 密钥库名称
+ * @returns {boolean} 是否存在
+ * @private
+ */
+function exists(name) {
+  return name === DEFAULT_VAULT || opened.has(name) || fs.existsSync(paths_of(name).key_file);
+}
+
+/**
+ * 取得密钥库管理器，同一名称总是返回同一个管理器
+ * @param {string} [name=DEFAULT_VAULT] - 密钥库名称
+ * @returns {Object} 密钥库管理器，见 totpmgr.open_vault
+ * @throws {Error} 当名称不合法（code 为 VAULT_INVALID_NAME）或密钥库不存在时（code 为 VAULT_NOT_FOUND）
+ */
+function get(name = DEFAULT_VAULT) {
+  check_name(name);
+  if (!opened.has(name)) {
+    if (!exists(name)) {
+      throw Object.assign(new Error(`No vault named "${name}".`), { code: ERROR_CODES.NOT_FOUND });
+    }
+    opened.set(name, totpmgr.open_vault({ ...paths_of(name), auto_lock }));
+  }
+  return opened.get(name);
+}
+
+/**
+ * 列出所有密钥库及其锁定状态，默认密钥库在前，其余按名称排序
+ * @returns {Promise<Array<{name: string, unlocked: boolean}>>} 密钥库列表
+ */
+async function list() {
+  let dirs = [];
+  try {
+    dirs = await fs.promises.readdir(VAULTS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  const names = new Set(dirs
+    .filter(dir => dir.isDirectory() && NAME_PATTERN.test(dir.name) && fs.existsSync(paths_of(dir.name).key_file))
+    .map(dir => dir.name));
+  opened.forEach((_, name) => names.add(name));
+  names.delete(DEFAULT_VAULT);
+
+  return [DEFAULT_VAULT, ...[...names].sort()].map(name => ({
+    name,
+    unlocked: opened.get(name)?.is_unlocked() ?? false,
+  }));
+}
+
+/**
+ * 创建新的密钥库并用给定的主密码解锁
+ * @param {string} name - 密钥库名称
+ * @param {string} password - 新密钥库的主密码
+ * @returns {Promise<Object>} 已解锁的密钥库管理器
+ * @throws {Error} 当名称不合法（code 为 VAULT_INVALID_NAME）、同名密钥库已存在（code 为 VAULT_EXISTS）、
+ * 密码为空或密钥文件创建失败时
+ */
+async function create(name, password) {
+  check_name(name);
+  if (exists(name)) {
+    throw Object.assign(new Error(`A vault named "${name}" already exists.`), { code: ERROR_CODES.EXISTS });
+  }
+  if (typeof password !== "string" || !password) {
+    throw new Error("The vault password must be a non-empty string.");
+  }
+
+  // 先登记再创建文件，并发的同名请求会得到 VAULT_EXISTS
+  const vault = totpmgr.open_vault({ ...paths_of(name), auto_lock });
+  opened.set(name, vault);
+  try {
+    await vault.unlock(password);
+  } catch (error) {
+    opened.delete(name);
+    await fs.promises.rm(path.join(VAULTS_DIR, name), { recursive: true, force: true });
+    throw error;
+  }
+  log.info(`Created vault "${name}".`);
+  return vault;
+}
+
+/**
+ * 设置自动锁定时间，只影响之后打开的密钥库，应在处理请求之前调用；省略的项使用默认值
+ * @param {Object} [options={}] - 自动锁定设置，通常来自 `config/server.json` 的 auto_lock
+ * @param {number} [options.idle_minutes] - 最后一次操作之后闲置多少分钟锁定，0 表示不按闲置锁定
+ * @param {number} [options.max_session_minutes] - 解锁之后最多多少分钟必须重新输入主密码，0 表示不限制
+ * @throws {TypeError} 当设置不是对象，或某项不是 0 到 MAX_LOCK_MINUTES 之间的整数时（设置保持不变）
+ * @example
+ * vaults.configure({ idle_minutes: 5, max_session_minutes: 8 * 60 });
+ */
+function configure(options = {}) {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new TypeError("auto_lock: Expected an object");
+  }
+  const minutes = (field, fallback_ms) => {
+    const value = options[field];
+    if (value === undefined) return fallback_ms;
+    if (!Number.isInteger(value) || value < 0 || value > MAX_LOCK_MINUTES) {
+      throw new TypeError(`auto_lock.${field}: Expected an integer between 0 and ${MAX_LOCK_MINUTES}, ` +
+        `but got ${JSON.stringify(value)}`);
+    }
+    return value * 60 * 1000;
+  };
+  auto_lock = Object.freeze({
+    idle_ms: minutes("idle_minutes", totpmgr.AUTO_LOCK_DEFAULTS.idle_ms),
+    max_age_ms: minutes("max_session_minutes", totpmgr.AUTO_LOCK_DEFAULTS.max_age_ms),
+  });
+}
+
+/**
+ * 密钥库注册表模块导出
+ * @namespace Vaults
+ * @property {Function} get - 取得密钥库管理器
+ * @property {Function} list - 列出密钥库
+ * @property {Function} create - 创建密钥库
+ * @property {Function} configure - 设置自动锁定时间
+ * @property {string} DEFAULT_VAULT - 默认密钥库名称
+ * @property {Object} ERROR_CODES - 错误码
+ */
+export default Object.freeze({
+  get,
+  list,
+  create,
+  configure,
+  DEFAULT_VAULT,
+  ERROR_CODES,
+});
\ No newline at end of file
@@ -156,6 +156,7 @@ async function read_config_async(file_path, key, default_config = {}, create_dir
 
 /**
  * 异步写入配置文件
+ * 先写入同目录下的临时文件再重命名覆盖，写入中途崩溃不会留下半个文件
  * @async
  * @param {string} file_path - 文件路径（相对或绝对路径）
  * @param {object|any} config - 配置对象或任何可序列化的数据
@@ -174,8 +175,10 @@ async function read_config_async(file_path, key, default_config = {}, create_dir
  * const success = await write_config_async('./existing/config.json', config, true, false);
  */
 async function write_config_async(file_path, config, pretty = true, create_dir = true) {
+    let tmp_path = null;
     try {
         const abs_path = path.resolve(file_path);
+        tmp_path = `${abs_path}.${process.pid}.tmp`;
         
         if (create_dir) {
             const dir = path.dirname(abs_path);
@@ -191,10 +194,15 @@ async function write_config_async(file_path, config, pretty = true, create_dir =
         }
         
         const json = pretty ? JSON.stringify(config, null, 2) : JSON.stringify(config);
-        await fs.promises.writeFile(abs_path, json, 'utf8');
+        await fs.promises.writeFile(tmp_path, json, 'utf8');
+        await fs.promises.rename(tmp_path, abs_path);
         return true;
     } catch (error) {
         logger.error(`异步写入配置失败: ${chalk.red(error.message)}`);
+        // 重命名失败时临时文件仍在，其中是完整的配置（可能是加密的密钥库），不能留在磁盘上
+        if (tmp_path) {
+            await fs.promises.rm(tmp_path, { force: true }).catch(() => {});
+        }
         return false;
     }
 }
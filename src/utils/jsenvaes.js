@@ -5,12 +5,26 @@
  */
 
 import crypto from "crypto";
+import fs from "fs";
+import path from "path";
 import chalk from "chalk";
 import log_sys from "./logmy.js";
 import jsenv from "./jsenv.js";
 
 const logger = log_sys.get_logger("JS.ENV.CRYPTO");
 
+/**
+ * 加密工具错误码
+ * @type {Object.<string, string>}
+ * @property {string} WRONG_PASSWORD - 密码无法解开已有的 `.validate` 文件
+ * @property {string} REKEY_INCOMPLETE - 修改密码在提交后未能完成，需由下一次 init_encryption 恢复
+ * @readonly
+ */
+const ERROR_CODES = Object.freeze({
+  WRONG_PASSWORD: "AES_WRONG_PASSWORD",
+  REKEY_INCOMPLETE: "AES_REKEY_INCOMPLETE",
+});
+
 /**
  * 加密配置常量
  * @type {Object}
@@ -79,17 +93,32 @@ async function derive_key(password, salt_hex) {
   }
 }
 
+/**
+ * 密码校验文件路径：与密钥文件位于同一目录的 `.validate`
+ * @param {string} key_file_path - 加密密钥文件路径
+ * @returns {string} 校验文件路径
+ */
+function validate_path_of(key_file_path) {
+  return path.join(path.dirname(key_file_path), ".validate");
+}
+
 /**
  * 初始化加密环境并管理密钥文件
  * @param {string} key_file_path - 加密密钥文件路径
  * @param {string} password - 加密密码
  * @returns {Promise<Buffer>} 加密密钥
- * @throws {Error} 如果初始化失败或密钥文件无效
+ * @throws {Error} 如果密码错误（code 为 AES_WRONG_PASSWORD）、初始化失败或密钥文件无效
  */
 async function init_encryption(key_file_path, password) {
+  let key = null;
+  let ndkey = null;
+  let result = null;
   try {
+    // 上一次修改密码若中途崩溃，先把文件恢复为完整的旧版本或新版本
+    await recover_rekey(key_file_path);
+
     const salt = generate_salt();
-    const key = await derive_key(password, salt);
+    key = await derive_key(password, salt);
     const start = Date.now();
 
     // 尝试读取密钥文件
@@ -102,16 +131,18 @@ async function init_encryption(key_file_path, password) {
     key_info = await jsenv.read_config_async(key_file_path, undefined, key_info);
 
     if (start === key_info.created_at) {
-      write_encrypted_config(".validate", { valid: true }, key);
-      return key; // 如果密钥文件是新创建的，直接返回新密钥
+      await write_encrypted_config(validate_path_of(key_file_path), { valid: true }, key);
+      result = key;
+      return result; // 如果密钥文件是新创建的，直接返回新密钥
     }
 
-    const ndkey = await derive_key(password, key_info.salt);
+    ndkey = await derive_key(password, key_info.salt);
 
     // 旧建的密钥文件
-    const validate = await read_encrypted_config(".validate", ndkey);
+    const validate = await read_encrypted_config(validate_path_of(key_file_path), ndkey);
     if (!validate || !validate.valid) {
-      throw new Error("Password is invalid or the `.validate` file is missing.");
+      throw Object.assign(new Error("Password is invalid or the `.validate` file is missing."),
+        { code: ERROR_CODES.WRONG_PASSWORD });
     }
 
     // 验证密钥文件内容
@@ -120,11 +151,193 @@ async function init_encryption(key_file_path, password) {
     }
 
     // 从现有密钥文件派生密钥
-    return ndkey;
+    result = ndkey;
+    return result;
   } catch (error) {
     logger.error(`${chalk.red("Failed to initialize:")} ${error.message}. Please check your key file and password.`);
     throw error;
+  } finally {
+    // 没有交给调用方的密钥立即清零：已有密钥文件时用新盐值派生的密钥，以及密码错误时派生的密钥
+    for (const candidate of [key, ndkey]) {
+      if (candidate && candidate !== result) candidate.fill(0);
+    }
+  }
+}
+
+/**
+ * 使用密钥文件中保存的盐值重新派生密钥，用于敏感操作前确认密码
+ * @param {string} key_file_path - 加密密钥文件路径
+ * @param {string} password - 待验证的密码
+ * @returns {Promise<Buffer>} 派生的密钥
+ * @throws {Error} 如果密钥文件不存在、无法解析或格式无效
+ */
+async function derive_key_from_file(key_file_path, password) {
+  // 不使用 jsenv.read_config_async：文件缺失时它会写入默认内容，这里只读不写
+  const key_info = JSON.parse(await fs.promises.readFile(key_file_path, "utf8"));
+  if (!key_info || !key_info.salt || typeof key_info.salt !== "string") {
+    throw new Error("Invalid key file format: missing valid salt value");
+  }
+  return await derive_key(password, key_info.salt);
+}
+
+/**
+ * 修改密码的进度标记文件路径，内容为 { state: "pending"|"commit", files }
+ * @param {string} key_file_path - 加密密钥文件路径
+ * @returns {string} 标记文件路径
+ */
+function rekey_marker_path(key_file_path) {
+  return `${key_file_path}.rekey`;
+}
+
+/**
+ * 把目录刷到磁盘，使其中的改名与删除在断电后依然有效
+ * 不支持打开目录做 fsync 的平台（如 Windows）上什么也不做
+ * @param {string} dir_path - 目录路径
+ * @returns {Promise<void>}
+ * @throws {Error} 如果目录无法打开或刷盘失败
+ */
+async function sync_dir(dir_path) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dir_path, "r");
+  } catch (error) {
+    if (["EISDIR", "EPERM", "EACCES"].includes(error.code) && process.platform === "win32") return;
+    throw error;
+  }
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 把文本写入文件并刷到磁盘：先写临时文件并 fsync，再改名覆盖目标并 fsync 所在目录，
+ * 读者只会看到完整的旧内容或新内容，返回时改名已经落盘
+ * @param {string} file_path - 目标文件路径
+ * @param {string} text - 文件内容
+ * @returns {Promise<void>}
+ * @throws {Error} 如果写入、改名或刷盘失败
+ */
+async function write_file_synced(file_path, text) {
+  const tmp_path = `${file_path}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmp_path, "w");
+  try {
+    await handle.writeFile(text, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmp_path, file_path);
+  await sync_dir(path.dirname(file_path));
+}
+
+/**
+ * 完成或撤销中断的修改密码操作
+ * 标记为 pending 时新文件可能不完整，删除所有 `.new` 文件，旧密码继续有效；
+ * 标记为 commit 时新文件已全部写好，把剩下的 `.new` 文件改名覆盖旧文件，新密码生效
+ * @param {string} key_file_path - 加密密钥文件路径
+ * @returns {Promise<string|null>} 处理的标记状态（pending/commit），没有中断的操作时为 null
+ * @throws {Error} 如果标记文件无法读取或文件无法改名
+ */
+async function recover_rekey(key_file_path) {
+  const marker_path = rekey_marker_path(key_file_path);
+  let marker;
+  try {
+    marker = JSON.parse(await fs.promises.readFile(marker_path, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  for (const file of marker.files) {
+    if (marker.state === "commit") {
+      try {
+        await fs.promises.rename(`${file}.new`, file);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error; // 已经改名过
+      }
+    } else {
+      await fs.promises.rm(`${file}.new`, { force: true });
+    }
+  }
+  await fs.promises.rm(marker_path, { force: true });
+  for (const dir_path of new Set([marker_path, ...marker.files].map(file => path.dirname(file)))) {
+    await sync_dir(dir_path);
+  }
+
+  if (marker.state === "commit") {
+    logger.log(`${chalk.green("✓")} Password change committed`);
+  } else {
+    logger.warn(`${chalk.yellow("Interrupted password change rolled back")}, the previous password is still valid`);
+  }
+  return marker.state;
+}
+
+/**
+ * 修改密码：用新的随机盐值派生新密钥，重新加密同目录的 `.validate` 与给定的配置文件，并更新密钥文件
+ * 所有新文件先写为 `<文件>.new`，全部写好后才把标记改为 commit 并逐个改名覆盖；
+ * 任何时刻崩溃，下一次 init_encryption 都会通过 recover_rekey 得到完整的旧版本或新版本
+ * @param {string} key_file_path - 加密密钥文件路径
+ * @param {string} old_password - 当前密码
+ * @param {string} new_password - 新密码
+ * @param {Object.<string, object>} contents - 需要用新密钥重新加密的文件路径到明文配置对象的映射
+ * @returns {Promise<Buffer>} 新的加密密钥
+ * @throws {Error} 如果当前密码错误（code 为 AES_WRONG_PASSWORD）、新密码为空或写入失败（失败时旧文件保持不变）；
+ * 提交后收尾失败时 code 为 AES_REKEY_INCOMPLETE，调用方持有的旧密钥不再可靠
+ */
+async function change_password(key_file_path, old_password, new_password, contents) {
+  if (typeof new_password !== "string" || !new_password) {
+    throw new Error("The new password must be a non-empty string.");
+  }
+  await recover_rekey(key_file_path);
+
+  const key_info = JSON.parse(await fs.promises.readFile(key_file_path, "utf8"));
+  const old_key = await derive_key(old_password, key_info.salt);
+  const validate = await read_encrypted_config(validate_path_of(key_file_path), old_key);
+  // 旧密钥只用于校验当前密码，调用方持有的是自己的副本
+  old_key.fill(0);
+  if (!validate || !validate.valid) {
+    throw Object.assign(new Error("The current password is incorrect."), { code: ERROR_CODES.WRONG_PASSWORD });
+  }
+
+  const salt = generate_salt();
+  const new_key = await derive_key(new_password, salt);
+  const validate_path = validate_path_of(key_file_path);
+  const files = [key_file_path, validate_path, ...Object.keys(contents)];
+  const marker_path = rekey_marker_path(key_file_path);
+
+  try {
+    await write_file_synced(marker_path, JSON.stringify({ state: "pending", files }));
+    await write_file_synced(`${key_file_path}.new`, JSON.stringify({
+      ...key_info,
+      algorithm: encryption_config.algorithm,
+      salt,
+      rotated_at: Date.now(),
+    }, null, 2));
+    await write_file_synced(`${validate_path}.new`, JSON.stringify(await encrypt_data({ valid: true }, new_key), null, 2));
+    for (const [file_path, config] of Object.entries(contents)) {
+      await write_file_synced(`${file_path}.new`, JSON.stringify(await encrypt_data(config, new_key), null, 2));
+    }
+  } catch (error) {
+    logger.error(`${chalk.red("Failed to prepare the password change:")} ${error.message}`);
+    new_key.fill(0);
+    await recover_rekey(key_file_path);
+    throw error;
+  }
+
+  try {
+    // 标记改为 commit 的这一次改名就是提交点，之后的收尾与崩溃恢复走同一条路径
+    await write_file_synced(marker_path, JSON.stringify({ state: "commit", files }));
+    await recover_rekey(key_file_path);
+  } catch (error) {
+    // 无法确定磁盘上生效的是旧密码还是新密码，交给下一次 init_encryption 的 recover_rekey 收尾
+    logger.error(`${chalk.red("Failed to commit the password change:")} ${error.message}`);
+    new_key.fill(0);
+    throw Object.assign(new Error(`The password change could not be completed: ${error.message}`),
+      { code: ERROR_CODES.REKEY_INCOMPLETE });
   }
+  return new_key;
 }
 
 /**
@@ -216,8 +429,7 @@ async function read_encrypted_config(file_path, key) {
 async function write_encrypted_config(file_path, config, key) {
   try {
     const encrypted = await encrypt_data(config, key);
-    await jsenv.write_config_async(file_path, encrypted);
-    return true;
+    return await jsenv.write_config_async(file_path, encrypted);
   } catch (error) {
     logger.error(`${chalk.red("Failed to write encrypted config:")} ${error.message}`);
     return false;
@@ -229,15 +441,28 @@ async function write_encrypted_config(file_path, config, key) {
  * @namespace AESModule
  * @type {Object}
  * @property {Function} init_encryption - 初始化加密环境
+ * @property {Function} derive_key_from_file - 按密钥文件的盐值派生密钥
+ * @property {Function} change_password - 修改密码并原子地重新加密文件
+ * @property {Function} recover_rekey - 完成或撤销中断的修改密码操作
  * @property {Function} read_config - 读取加密配置文件
  * @property {Function} write_config - 写入加密配置文件
+ * @property {Object} ERROR_CODES - 错误码
  */
 export default Object.freeze({
   /** @type {Function} */
   init_encryption,
+  /** @type {Function} */
+  derive_key_from_file,
+  /** @type {Function} */
+  change_password,
+  /** @type {Function} */
+  recover_rekey,
 
   /** @type {Function} */
   read_config: read_encrypted_config,
   /** @type {Function} */
   write_config: write_encrypted_config,
+
+  /** @type {Object.<string, string>} */
+  ERROR_CODES,
 });
\ No newline at end of file
@@ -99,7 +99,17 @@ function get_logger(name) {
     return log4js.getLogger(name);
 }
 
+/**
+ * 记录一条安全审计日志（导出密钥、密码验证失败等）
+ * @param {string} event - 事件名称，如 "key.qr_export"
+ * @param {Object} [details={}] - 事件详情，不得包含密钥或密码
+ */
+function audit(event, details = {}) {
+    get_logger("Audit").warn(`[${event}] ${JSON.stringify(details)}`);
+}
+
 export default Object.freeze({
     init_logger,
-    get_logger
+    get_logger,
+    audit
 });
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview API 错误响应测试
+ * @description 密钥库目录相对于当前目录，测试在临时目录中运行。
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const PASSWORD = "correct horse battery staple";
+
+describe("api validation errors", () => {
+  const cwd = process.cwd();
+  let dir;
+  let server;
+  let base;
+  let id;
+
+  /**
+   * 发送 JSON 请求
+   * @param {string} method - HTTP 方法
+   * @param {string} url - 相对于密钥库的路径
+   * @param {Object} [body] - 请求体
+   * @returns {Promise<{status: number, body: Object}>} 状态码与响应体
+   */
+  async function request(method, url, body) {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: body ? { "content-type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+    process.chdir(dir);
+    const { default: api } = await import("../src/server/api.js");
+    const app = express();
+    app.use("/api", api);
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/vaults/test`;
+
+    const created = await fetch(`http://127.0.0.1:${server.address().port}/api/vaults`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ name: "test", password: PASSWORD }),
+    });
+    assert.equal(created.status, 201);
+    ({ body: { id } } = await request("POST", "/keys", { name: "GitHub", platform: "github.com", key: "JBSWY3DPEHPK3PXP" }));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reports unknown duplicate modes as INVALID_ARGUMENT", async () => {
+    const added = await request("POST", "/keys", { name: "GitLab", key: "GEZDGNBVGY3TQOJQ", on_duplicate: "bogus" });
+    assert.equal(added.status, 400);
+    assert.equal(added.body.code, "INVALID_ARGUMENT");
+
+    const imported = await request("POST", "/import", { file: "otpauth://totp/x?secret=GEZDGNBV", on_duplicate: "bogus" });
+    assert.equal(imported.status, 400);
+    assert.equal(imported.body.code, "INVALID_ARGUMENT");
+  });
+
+  it("reports invalid query parameters as INVALID_ARGUMENT", async () => {
+    for (const url of [`/keys/${id}/code?at=abc`, `/keys/${id}/code?at=-5000`, "/search?q=git&limit=abc"]) {
+      const { status, body } = await request("GET", url);
+      assert.equal(status, 400, url);
+      assert.equal(body.code, "INVALID_ARGUMENT", url);
+    }
+  });
+
+  it("rejects generating a code before the entry's T0", async () => {
+    const added = await request("POST", "/keys", { name: "Future", key: "GEZDGNBVGY3TQOJQ", epoch: 4e9 });
+    assert.equal(added.status, 201);
+    const { status, body } = await request("GET", `/keys/${added.body.id}/code`);
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_ARGUMENT");
+  });
+
+  it("reports a wrong confirmation password as VAULT_WRONG_PASSWORD", async () => {
+    for (const url of [`/keys/${id}/qr`, "/export"]) {
+      const { status, body } = await request("POST", url, { password: "wrong" });
+      assert.equal(status, 403, url);
+      assert.equal(body.code, "VAULT_WRONG_PASSWORD", url);
+    }
+  });
+
+  it("exports the selected entries as an attachment once the password is confirmed", async () => {
+    const res = await fetch(`${base}/export`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ password: PASSWORD, format: "uris", ids: [id] }),
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="test-export\.txt"/);
+    assert.equal(await res.text(), "otpauth://totp/github.com:GitHub?secret=JBSWY3DPEHPK3PXP&issuer=github.com" +
+      "&algorithm=SHA1&digits=6&period=30\n");
+
+    const unsupported = await request("POST", "/export", { password: PASSWORD, format: "xml" });
+    assert.equal(unsupported.status, 400);
+    assert.equal(unsupported.body.code, "EXPORT_UNSUPPORTED_FORMAT");
+    const missing = await request("POST", "/export", { password: PASSWORD, ids: ["missing"] });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, "EXPORT_ENTRY_NOT_FOUND");
+  });
+
+  it("prints a paper backup of the selected entries once the password is confirmed", async () => {
+    const res = await fetch(`${base}/paper`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ password: PASSWORD, ids: [id] }),
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/html/);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="test-paper-backup\.html"/);
+    const html = await res.text();
+    assert.match(html, /Vault: <strong>test<\/strong> &middot; 1 account\(s\)/);
+    assert.match(html, /JBSW Y3DP EHPK 3PXP/);
+  });
+});
\ No newline at end of file
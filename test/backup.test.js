@@ -0,0 +1,63 @@
+/**
+ * @fileoverview 加密备份文件测试
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import backup from "../src/server/backup.js";
+
+const PASSPHRASE = "correct horse battery staple";
+
+const ENTRIES = [
+  { id: "a", name: "GitHub", key: "JBSWY3DPEHPK3PXP", tags: ["work"] },
+  { id: "b", name: "GitLab", key: "GEZDGNBVGY3TQOJQ", tags: [] },
+];
+
+describe("backup", () => {
+  let file;
+  before(async () => {
+    file = await backup.pack(ENTRIES, PASSPHRASE, { vault: "default" });
+  });
+
+  it("round-trips the entries through JSON", async () => {
+    const restored = await backup.unpack(JSON.stringify(file), PASSPHRASE);
+    assert.deepEqual(restored.entries, ENTRIES);
+    assert.equal(restored.vault, "default");
+    assert.equal(restored.created_at, file.created_at);
+    assert.equal(file.ciphertext.includes("JBSWY3DP"), false);
+  });
+
+  it("rejects a wrong passphrase", async () => {
+    await assert.rejects(backup.unpack(file, "wrong passphrase"), { code: backup.ERROR_CODES.WRONG_PASSPHRASE });
+  });
+
+  it("rejects weak passphrases when packing", async () => {
+    await assert.rejects(backup.pack(ENTRIES, "short"), { code: backup.ERROR_CODES.WEAK_PASSPHRASE });
+  });
+
+  it("detects damage through the checksum", async () => {
+    const damaged = { ...file, count: 3 };
+    await assert.rejects(backup.unpack(damaged, PASSPHRASE), { code: backup.ERROR_CODES.CORRUPT });
+  });
+
+  it("detects tampering through authentication even with a matching checksum", async () => {
+    const forged = { ...file, vault: "other" };
+    const header = JSON.stringify({
+      format: forged.format, version: forged.version, created_at: forged.created_at, vault: forged.vault,
+      count: forged.count, kdf: forged.kdf, cipher: { name: forged.cipher.name, iv: forged.cipher.iv },
+    });
+    // 改动明文头部并重新计算校验和，只有 GCM 认证能发现
+    forged.checksum = `sha256:${crypto.createHash("sha256").update(header).update(forged.cipher.tag)
+      .update(forged.ciphertext).digest("hex")}`;
+    await assert.rejects(backup.unpack(forged, PASSPHRASE), { code: backup.ERROR_CODES.WRONG_PASSPHRASE });
+  });
+
+  it("rejects scrypt parameters outside the allowed range before deriving", async () => {
+    for (const kdf of [{ n: 2 ** 18 }, { n: 8192 }, { n: 100000 }, { r: 16 }, { p: 8 }]) {
+      const tampered = { ...file, kdf: { ...file.kdf, ...kdf } };
+      await assert.rejects(backup.unpack(tampered, PASSPHRASE), { code: backup.ERROR_CODES.INVALID_FILE },
+        JSON.stringify(kdf));
+    }
+  });
+});
\ No newline at end of file
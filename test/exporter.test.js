@@ -0,0 +1,77 @@
+/**
+ * @fileoverview 明文导出测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import exporter from "../src/server/exporter.js";
+import otpauth from "../src/server/otpauth.js";
+
+const ENTRIES = [
+  { id: "a", name: "GitHub", platform: "https://github.com", description: "alice", key: "JBSWY3DPEHPK3PXP",
+    tags: ["work", "dev"], favorite: true },
+  { id: "b", name: "Bank, \"main\"", platform: "My Bank", description: "bob\nsmith", key: "GEZDGNBVGY3TQOJQ",
+    type: "hotp", counter: 5, algorithm: "SHA256", digits: 8, tags: ["personal"] },
+  { id: "c", name: "Legacy", platform: "", description: "carol", key: "MFRGGZDFMZTWQ2LK", epoch: 1000,
+    folder: "old" },
+];
+
+describe("exporter.select", () => {
+  it("selects entries by ID or tag and keeps their order", () => {
+    assert.equal(exporter.select(ENTRIES), ENTRIES);
+    assert.deepEqual(exporter.select(ENTRIES, { ids: ["c"], tags: ["work"] }).map(entry => entry.id), ["a", "c"]);
+    assert.deepEqual(exporter.select(ENTRIES, { tags: ["missing"] }), []);
+  });
+
+  it("rejects malformed selections and unknown IDs", () => {
+    assert.throws(() => exporter.select(ENTRIES, { ids: "a" }), TypeError);
+    assert.throws(() => exporter.select(ENTRIES, { tags: [1] }), TypeError);
+    assert.throws(() => exporter.select(ENTRIES, { ids: ["a", "z"] }), { code: exporter.ERROR_CODES.NOT_FOUND });
+  });
+});
+
+describe("exporter.render", () => {
+  it("writes one otpauth URI per line and lists entries that have none", () => {
+    const result = exporter.render(ENTRIES, "uris");
+    const lines = result.content.trimEnd().split("\n");
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines.map(line => otpauth.parse(line).key), ["JBSWY3DPEHPK3PXP", "GEZDGNBVGY3TQOJQ"]);
+    assert.equal(result.count, 2);
+    assert.deepEqual(result.skipped.map(({ id, name }) => [id, name]), [["c", "Legacy"]]);
+    assert.equal(result.content_type, exporter.FORMATS.uris.content_type);
+  });
+
+  it("quotes CSV fields and joins tags", () => {
+    const { content, count, extension } = exporter.render(ENTRIES, "csv");
+    const lines = content.split("\r\n");
+    assert.equal(lines[0], "id,name,platform,description,type,secret,algorithm,digits,period,epoch,counter," +
+      "tags,folder,favorite,uri");
+    assert.match(lines[1], /^a,GitHub,https:\/\/github\.com,alice,totp,JBSWY3DPEHPK3PXP,SHA1,6,30,0,,work;dev,,true,otpauth:/);
+    assert.match(lines[2], /^b,"Bank, ""main""",My Bank,"bob\nsmith",hotp,GEZDGNBVGY3TQOJQ,SHA256,8,,,5,personal,,false,otpauth:/);
+    assert.equal(lines[3], "c,Legacy,,carol,totp,MFRGGZDFMZTWQ2LK,SHA1,6,30,1000,,,old,false,");
+    assert.equal(lines[4], "");
+    assert.equal(count, 3);
+    assert.equal(extension, "csv");
+  });
+
+  it("writes the documented JSON structure", () => {
+    const { content, skipped } = exporter.render(ENTRIES, "json", { vault: "ops" });
+    const json = JSON.parse(content);
+    assert.equal(json.format, "totp-plain-export");
+    assert.equal(json.version, exporter.JSON_VERSION);
+    assert.equal(json.vault, "ops");
+    assert.ok(!Number.isNaN(Date.parse(json.exported_at)));
+    assert.deepEqual(json.entries[1], {
+      id: "b", name: "Bank, \"main\"", platform: "My Bank", description: "bob\nsmith", type: "hotp",
+      secret: "GEZDGNBVGY3TQOJQ", algorithm: "SHA256", digits: 8, period: null, epoch: null, counter: 5,
+      tags: ["personal"], folder: null, favorite: false, meta: {}, uri: otpauth.build(ENTRIES[1]),
+    });
+    assert.equal(json.entries[2].uri, null);
+    assert.deepEqual(skipped, []);
+  });
+
+  it("rejects unsupported formats", () => {
+    assert.throws(() => exporter.render(ENTRIES, "xml"), { code: exporter.ERROR_CODES.UNSUPPORTED_FORMAT });
+    assert.throws(() => exporter.render(ENTRIES, "toString"), { code: exporter.ERROR_CODES.UNSUPPORTED_FORMAT });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview 模糊匹配测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fuzzy from "../src/server/fuzzy.js";
+
+describe("fuzzy.match", () => {
+  it("ranks closer matches higher", () => {
+    const scores = [
+      fuzzy.match("github", "GitHub"),
+      fuzzy.match("git", "GitHub"),
+      fuzzy.match("hub", "Git Hub"),
+      fuzzy.match("hub", "GitHub"),
+      fuzzy.match("gthub", "GitHub"),
+      fuzzy.match("githbu", "GitHub"),
+    ].map(found => found.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.equal(new Set(scores).size, scores.length);
+  });
+
+  it("returns highlight ranges for each kind of match", () => {
+    assert.deepEqual(fuzzy.match("hub", "GitHub"), { score: 70, ranges: [[3, 6]] });
+    assert.deepEqual(fuzzy.match("hub", "Git Hub"), { score: 90, ranges: [[4, 7]] });
+    assert.deepEqual(fuzzy.match("gthb", "GitHub"), { score: 33, ranges: [[0, 1], [2, 4], [5, 6]] });
+    assert.deepEqual(fuzzy.match("githbu", "GitHub"), { score: 40, ranges: [[0, 6]] });
+  });
+
+  it("tolerates more typos in longer terms and none in short ones", () => {
+    assert.equal(fuzzy.match("gti", "GitHub"), null);
+    assert.equal(fuzzy.match("gitlub", "GitHub").score, 40);
+    assert.equal(fuzzy.match("gitlav", "GitHub"), null);
+    assert.equal(fuzzy.match("cloudfalre", "Cloudflare").score, 40);
+    assert.equal(fuzzy.match("cluodfalre", "Cloudflare").score, 30);
+  });
+
+  it("does not match empty terms or texts", () => {
+    assert.equal(fuzzy.match("", "GitHub"), null);
+    assert.equal(fuzzy.match("git", ""), null);
+    assert.equal(fuzzy.match("git", null), null);
+  });
+});
+
+describe("fuzzy.tokenize", () => {
+  it("splits the query into lower-case terms", () => {
+    assert.deepEqual(fuzzy.tokenize("  GitHub   Alice "), ["github", "alice"]);
+    assert.deepEqual(fuzzy.tokenize(undefined), []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview 导入器测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import aegis from "../src/server/importers/aegis.js";
+import bitwarden from "../src/server/importers/bitwarden.js";
+
+/**
+ * AES-256-GCM 加密，返回 Aegis 格式的参数
+ * @param {Buffer} key - 32 字节密钥
+ * @param {Buffer} plaintext - 明文
+ * @returns {{ciphertext: Buffer, params: {nonce: string, tag: string}}} 密文与参数
+ */
+function gcm_encrypt(key, plaintext) {
+  const nonce = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { ciphertext, params: { nonce: nonce.toString("hex"), tag: cipher.getAuthTag().toString("hex") } };
+}
+
+/**
+ * 生成加密的 Aegis 导出
+ * @param {Object} db - 数据库内容
+ * @param {string} password - 密码
+ * @param {{n: number, r: number, p: number}} kdf - 密码槽的 scrypt 参数
+ * @returns {Object} Aegis 导出
+ */
+function encrypted_export(db, password, kdf) {
+  const master_key = crypto.randomBytes(32);
+  const salt = crypto.randomBytes(32);
+  const derived = crypto.scryptSync(password, salt, 32, { N: kdf.n, r: kdf.r, p: kdf.p });
+  const slot_key = gcm_encrypt(derived, master_key);
+  const body = gcm_encrypt(master_key, Buffer.from(JSON.stringify(db)));
+  return {
+    version: 1,
+    header: {
+      slots: [{ type: 1, ...kdf, salt: salt.toString("hex"), key: slot_key.ciphertext.toString("hex"), key_params: slot_key.params }],
+      params: body.params,
+    },
+    db: body.ciphertext.toString("base64"),
+  };
+}
+
+const DB = {
+  version: 3,
+  entries: [{ type: "totp", name: "alice", issuer: "Example", info: { secret: "JBSWY3DPEHPK3PXP", algo: "SHA1", digits: 6, period: 30 } }],
+};
+
+describe("aegis.parse", () => {
+  it("decrypts an encrypted export", async () => {
+    const file = encrypted_export(DB, "hunter2", { n: 1024, r: 8, p: 1 });
+    const { encrypted, entries } = await aegis.parse(JSON.stringify(file), { password: "hunter2" });
+    assert.equal(encrypted, true);
+    assert.equal(entries[0].key, "JBSWY3DPEHPK3PXP");
+    await assert.rejects(aegis.parse(file, { password: "wrong" }), { code: aegis.ERROR_CODES.WRONG_PASSWORD });
+  });
+
+  it("rejects scrypt parameters outside the allowed range before deriving", async () => {
+    const file = encrypted_export(DB, "hunter2", { n: 1024, r: 8, p: 1 });
+    for (const kdf of [{ n: 2 ** 20 }, { r: 64 }, { p: 16 }, { n: 1000 }]) {
+      const slot = { ...file.header.slots[0], ...kdf };
+      const tampered = { ...file, header: { ...file.header, slots: [slot] } };
+      await assert.rejects(aegis.parse(tampered, { password: "hunter2" }), { code: aegis.ERROR_CODES.INVALID_FILE },
+        JSON.stringify(kdf));
+    }
+  });
+
+  it("rejects files with too many password slots before deriving", async () => {
+    const file = encrypted_export(DB, "hunter2", { n: 1024, r: 8, p: 1 });
+    const slots = Array.from({ length: 9 }, () => ({ ...file.header.slots[0], n: 2 ** 17 }));
+    const started = Date.now();
+    await assert.rejects(aegis.parse({ ...file, header: { ...file.header, slots } }, { password: "hunter2" }),
+      { code: aegis.ERROR_CODES.INVALID_FILE });
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("imports favourites as the favorite field", async () => {
+    const entries = [{ ...DB.entries[0], favorite: true }, { ...DB.entries[0], name: "bob" }];
+    const { entries: [starred, plain] } = await aegis.parse({ version: 1, header: {}, db: { ...DB, entries } });
+    assert.equal(starred.favorite, true);
+    assert.equal(plain.favorite, false);
+    assert.equal("favorite" in starred.meta, false);
+  });
+});
+
+describe("bitwarden.parse", () => {
+  it("imports favourites from JSON and CSV exports", async () => {
+    const login = { username: "alice", totp: "JBSWY3DPEHPK3PXP" };
+    const json = await bitwarden.parse({
+      items: [
+        { type: 1, name: "Example", favorite: true, login },
+        { type: 1, name: "Other", favorite: false, login: { ...login, totp: "otpauth://totp/Other?secret=GEZDGNBV" } },
+      ],
+    });
+    assert.deepEqual(json.entries.map(entry => entry.favorite), [true, false]);
+
+    const csv = await bitwarden.parse("folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp\n" +
+      ",1,login,Example,,,0,https://example.com,alice,,JBSWY3DPEHPK3PXP\n" +
+      ",,login,Other,,,0,,bob,,GEZDGNBV\n");
+    assert.deepEqual(csv.entries.map(entry => entry.favorite), [true, false]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview 配置文件读写测试
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jsenv from "../src/utils/jsenv.js";
+
+describe("jsenv.write_config_async", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsenv-"));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("replaces the file and leaves no temporary file behind", async () => {
+    const file = path.join(dir, "config.json");
+    assert.equal(await jsenv.write_config_async(file, { a: 1 }), true);
+    assert.equal(await jsenv.write_config_async(file, { a: 2 }), true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { a: 2 });
+    assert.deepEqual(fs.readdirSync(dir), ["config.json"]);
+  });
+
+  it("removes the temporary file when the rename fails", async () => {
+    // 目标是目录时 rename 失败
+    const target = path.join(dir, "taken");
+    fs.mkdirSync(target);
+    assert.equal(await jsenv.write_config_async(target, { secret: true }), false);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith(".tmp")), []);
+  });
+});
\ No newline at end of file
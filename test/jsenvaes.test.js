@@ -0,0 +1,93 @@
+/**
+ * @fileoverview 加密配置与修改密码的崩溃恢复测试
+ * @description 先完整地修改一次密码，再把文件摆回修改中途崩溃时的样子，检查 recover_rekey 的结果。
+ */
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jsenv_aes from "../src/utils/jsenvaes.js";
+
+const OLD_PASSWORD = "old password";
+const NEW_PASSWORD = "new password";
+
+describe("jsenv_aes.recover_rekey", () => {
+  let dir;
+  let key_file;
+  let config_file;
+  let files;
+  let before_change;
+  let after_change;
+
+  /**
+   * 读取文件内容
+   * @returns {Object.<string, string>} 文件路径到内容的映射
+   */
+  function snapshot() {
+    return Object.fromEntries(files.map(file => [file, fs.readFileSync(file, "utf8")]));
+  }
+
+  /**
+   * 把文件摆成修改密码中途崩溃时的样子
+   * @param {string} state - 标记状态（pending/commit）
+   * @param {Array<string>} [renamed=[]] - commit 之后已经改名覆盖的文件
+   */
+  function crash(state, renamed = []) {
+    for (const file of files) {
+      if (renamed.includes(file)) {
+        fs.writeFileSync(file, after_change[file]);
+      } else {
+        fs.writeFileSync(file, before_change[file]);
+        fs.writeFileSync(`${file}.new`, after_change[file]);
+      }
+    }
+    fs.writeFileSync(`${key_file}.rekey`, JSON.stringify({ state, files }));
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsenvaes-"));
+    key_file = path.join(dir, ".keyfile");
+    config_file = path.join(dir, "config.json");
+    files = [key_file, path.join(dir, ".validate"), config_file];
+
+    const key = await jsenv_aes.init_encryption(key_file, OLD_PASSWORD);
+    assert.equal(await jsenv_aes.write_config(config_file, { keys: ["a"] }, key), true);
+    before_change = snapshot();
+    await jsenv_aes.change_password(key_file, OLD_PASSWORD, NEW_PASSWORD, { [config_file]: { keys: ["a"] } });
+    after_change = snapshot();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("does nothing when no password change was interrupted", async () => {
+    assert.equal(await jsenv_aes.recover_rekey(key_file), null);
+    assert.deepEqual(snapshot(), after_change);
+  });
+
+  it("rolls back to the old password when the crash happened before the commit", async () => {
+    crash("pending");
+    // 未提交时新文件可能只写了一半
+    fs.writeFileSync(`${config_file}.new`, "{\"iv\":");
+
+    const key = await jsenv_aes.init_encryption(key_file, OLD_PASSWORD);
+    assert.deepEqual(await jsenv_aes.read_config(config_file, key), { keys: ["a"] });
+    assert.deepEqual(snapshot(), before_change);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [".keyfile", ".validate", "config.json"]);
+    await assert.rejects(jsenv_aes.init_encryption(key_file, NEW_PASSWORD), { code: jsenv_aes.ERROR_CODES.WRONG_PASSWORD });
+  });
+
+  it("finishes the change when the crash happened after the commit", async () => {
+    // 密钥文件已经改名覆盖，其余文件还是 .new
+    crash("commit", [key_file]);
+
+    const key = await jsenv_aes.init_encryption(key_file, NEW_PASSWORD);
+    assert.deepEqual(await jsenv_aes.read_config(config_file, key), { keys: ["a"] });
+    assert.deepEqual(snapshot(), after_change);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [".keyfile", ".validate", "config.json"]);
+    await assert.rejects(jsenv_aes.init_encryption(key_file, OLD_PASSWORD), { code: jsenv_aes.ERROR_CODES.WRONG_PASSWORD });
+  });
+});
\ No newline at end of file
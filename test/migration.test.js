@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Google Authenticator 迁移二维码解析测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import migration from "../src/server/migration.js";
+
+/**
+ * 编码 protobuf varint
+ * @param {number} value - 非负整数
+ * @returns {Buffer} varint 字节
+ */
+function varint(value) {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * 编码 protobuf 字段
+ * @param {number} field_number - 字段号
+ * @param {number|string|Buffer} value - 数字按 varint，文本与字节按 length-delimited 编码
+ * @returns {Buffer} 字段字节
+ */
+function field(field_number, value) {
+  if (typeof value === "number") {
+    return Buffer.concat([varint(field_number * 8), varint(value)]);
+  }
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value);
+  return Buffer.concat([varint(field_number * 8 + 2), varint(bytes.length), bytes]);
+}
+
+/**
+ * 生成迁移 URI
+ * @param {Array<Object>} accounts - OtpParameters 字段：secret、name、issuer、algorithm、digits、type、counter
+ * @param {Object} [batch={}] - batch_size、batch_index 与 batch_id
+ * @returns {string} otpauth-migration URI
+ */
+function migration_uri(accounts, batch = {}) {
+  const otp = accounts.map(({ secret, name, issuer = "", algorithm = 1, digits = 1, type = 2, counter = 0 }) =>
+    field(1, Buffer.concat([field(1, secret), field(2, name), field(3, issuer), field(4, algorithm),
+      field(5, digits), field(6, type), field(7, counter)])));
+  const payload = Buffer.concat([...otp, field(2, 1), field(3, batch.batch_size ?? 1),
+    field(4, batch.batch_index ?? 0), field(5, batch.batch_id ?? 42)]);
+  return `otpauth-migration://offline?data=${encodeURIComponent(payload.toString("base64"))}`;
+}
+
+// "Hello!\xde\xad\xbe\xef" 的 Base32 为 JBSWY3DPEHPK3PXP
+const SECRET = Buffer.from("48656c6c6f21deadbeef", "hex");
+
+describe("migration.parse", () => {
+  it("reads TOTP and HOTP accounts and rejects unsupported ones", () => {
+    const result = migration.parse(migration_uri([
+      { secret: SECRET, name: "Example:alice", issuer: "Example" },
+      { secret: SECRET, name: "bob", algorithm: 2, digits: 2, type: 1, counter: 7 },
+      { secret: SECRET, name: "Old:carol", algorithm: 4 },
+    ]));
+    assert.deepEqual(result.entries, [
+      { name: "Example", platform: "Example", description: "alice", key: "JBSWY3DPEHPK3PXP", type: "totp",
+        algorithm: "SHA1", digits: 6, period: 30, epoch: 0 },
+      { name: "bob", platform: "", description: "bob", key: "JBSWY3DPEHPK3PXP", type: "hotp",
+        algorithm: "SHA256", digits: 8, counter: 7 },
+    ]);
+    assert.deepEqual(result.rejected, ["Old:carol: unsupported algorithm (MD5)"]);
+  });
+
+  it("rejects URIs that are not migration payloads", () => {
+    assert.throws(() => migration.parse("otpauth://totp/x?secret=JBSWY3DP"), /otpauth-migration/);
+    assert.throws(() => migration.parse("otpauth-migration://offline?data=%%%"), /data/);
+  });
+
+  it("rejects batch sizes and indexes outside the allowed range", () => {
+    const account = [{ secret: SECRET, name: "alice" }];
+    for (const batch of [{ batch_size: 2e7 }, { batch_size: 1001 }, { batch_size: 0 }, { batch_size: 2, batch_index: 2 }]) {
+      assert.throws(() => migration.parse(migration_uri(account, batch)), /batch/, JSON.stringify(batch));
+    }
+  });
+});
+
+describe("migration.combine", () => {
+  const account = (name) => [{ secret: SECRET, name }];
+
+  it("merges the batches of one export in order and lists the missing ones", () => {
+    const result = migration.combine([
+      migration_uri(account("third"), { batch_size: 3, batch_index: 2 }),
+      migration_uri(account("first"), { batch_size: 3, batch_index: 0 }),
+    ]);
+    assert.deepEqual(result.received, [0, 2]);
+    assert.deepEqual(result.missing, [1]);
+    assert.deepEqual(result.entries.map(entry => entry.description), ["first", "third"]);
+  });
+
+  it("rejects batches from different exports or supplied twice", () => {
+    const first = migration_uri(account("first"), { batch_size: 2, batch_index: 0 });
+    assert.throws(() => migration.combine([first, migration_uri(account("x"), { batch_size: 2, batch_index: 1, batch_id: 7 })]),
+      /different exports/);
+    assert.throws(() => migration.combine([first, first]), /twice/);
+  });
+});
\ No newline at end of file
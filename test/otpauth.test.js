@@ -0,0 +1,88 @@
+/**
+ * @fileoverview otpauth URI 解析与生成测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import otpauth from "../src/server/otpauth.js";
+
+describe("otpauth.parse", () => {
+  it("maps the issuer to the platform and the account to the description", () => {
+    assert.deepEqual(otpauth.parse("otpauth://totp/GitHub:alice?secret=jbswy3dpehpk3pxp&issuer=GitHub"), {
+      name: "GitHub",
+      platform: "GitHub",
+      description: "alice",
+      key: "JBSWY3DPEHPK3PXP",
+      type: "totp",
+      algorithm: "SHA1",
+      digits: 6,
+      period: 30,
+      epoch: 0,
+    });
+    assert.deepEqual(otpauth.parse("otpauth://hotp/alice%40example.com?secret=JBSWY3DPEHPK3PXP&counter=7&digits=8"), {
+      name: "alice@example.com",
+      platform: "",
+      description: "alice@example.com",
+      key: "JBSWY3DPEHPK3PXP",
+      type: "hotp",
+      algorithm: "SHA1",
+      digits: 8,
+      counter: 7,
+    });
+  });
+
+  it("rejects an issuer parameter that differs from the label issuer", () => {
+    assert.throws(() => otpauth.parse("otpauth://totp/GitHub:alice?secret=JBSWY3DPEHPK3PXP&issuer=GitLab"),
+      /does not match label issuer/);
+    // 只有一边给出发行方，或两边相同时照常解析
+    assert.equal(otpauth.parse("otpauth://totp/alice?secret=JBSWY3DPEHPK3PXP&issuer=GitLab").platform, "GitLab");
+    assert.equal(otpauth.parse("otpauth://totp/GitLab:alice?secret=JBSWY3DPEHPK3PXP").platform, "GitLab");
+  });
+
+  it("rejects unknown parameters", () => {
+    assert.throws(() => otpauth.parse("otpauth://totp/GitHub:alice?secret=JBSWY3DPEHPK3PXP&lock=true"),
+      /unknown parameter `lock`/);
+  });
+
+  it("rejects malformed URIs", () => {
+    for (const uri of [
+      "https://totp/GitHub:alice?secret=JBSWY3DPEHPK3PXP",
+      "otpauth://motp/GitHub:alice?secret=JBSWY3DPEHPK3PXP",
+      "otpauth://totp/GitHub:?secret=JBSWY3DPEHPK3PXP",
+      "otpauth://totp/GitHub:alice?issuer=GitHub",
+      "otpauth://totp/GitHub:alice?secret=not-base32!",
+      "otpauth://totp/GitHub:alice?secret=JBSWY3DPEHPK3PXP&digits=-6",
+      "otpauth://hotp/GitHub:alice?secret=JBSWY3DPEHPK3PXP",
+    ]) {
+      assert.throws(() => otpauth.parse(uri), /^Error: Invalid otpauth URI/, uri);
+    }
+  });
+});
+
+describe("otpauth.build", () => {
+  it("round-trips through parse", () => {
+    const entries = [
+      { name: "GitHub", platform: "GitHub", description: "alice", key: "JBSWY3DPEHPK3PXP",
+        type: "totp", algorithm: "SHA256", digits: 8, period: 60, epoch: 0 },
+      { name: "My Bank", platform: "My Bank", description: "bob smith", key: "GEZDGNBVGY3TQOJQ",
+        type: "hotp", algorithm: "SHA1", digits: 6, counter: 42 },
+    ];
+    for (const entry of entries) {
+      assert.deepEqual(otpauth.parse(otpauth.build(entry)), entry);
+    }
+  });
+
+  it("uses the host name of a URL platform as the issuer", () => {
+    const uri = otpauth.build({ name: "GitHub", platform: "https://www.github.com/login", description: "alice",
+      key: "JBSWY3DPEHPK3PXP" });
+    assert.equal(uri, "otpauth://totp/github.com:alice?secret=JBSWY3DPEHPK3PXP&issuer=github.com" +
+      "&algorithm=SHA1&digits=6&period=30");
+  });
+
+  it("refuses keys that the format cannot represent", () => {
+    assert.throws(() => otpauth.build({ name: "GitHub", description: "alice", key: "JBSWY3DPEHPK3PXP", epoch: 1000 }),
+      RangeError);
+    assert.throws(() => otpauth.build({ name: "", platform: "", description: "", key: "JBSWY3DPEHPK3PXP" }),
+      RangeError);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview 纸质备份测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import paper from "../src/server/paper.js";
+
+const GITHUB = { id: "a", name: "GitHub", platform: "https://github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" };
+const BANK = { id: "b", name: "Bank", platform: "My Bank", description: "bob", key: "GEZDGNBVGY3TQOJQ",
+  type: "hotp", counter: 5 };
+
+describe("paper.group_secret", () => {
+  it("splits the secret into groups of four", () => {
+    assert.equal(paper.group_secret("JBSWY3DPEHPK3PXP"), "JBSW Y3DP EHPK 3PXP");
+    assert.equal(paper.group_secret("GEZDGNBVGY"), "GEZD GNBV GY");
+    assert.equal(paper.group_secret(""), "");
+  });
+});
+
+describe("paper.fingerprint", () => {
+  it("does not depend on entry order or metadata but changes with the secrets", () => {
+    const fingerprint = paper.fingerprint([GITHUB, BANK]);
+    assert.match(fingerprint, /^[0-9A-F]{4}(-[0-9A-F]{4}){5}$/);
+    assert.equal(paper.fingerprint([BANK, { ...GITHUB, name: "Renamed", tags: ["work"] }]), fingerprint);
+    assert.notEqual(paper.fingerprint([GITHUB, { ...BANK, key: "MFRGGZDFMZTWQ2LK" }]), fingerprint);
+    assert.notEqual(paper.fingerprint([GITHUB]), fingerprint);
+  });
+});
+
+describe("paper.render", () => {
+  it("prints each account with its parameters and a local QR code", async () => {
+    const html = await paper.render([GITHUB, BANK], {
+      vault: "ops",
+      fingerprint: "3F2A-9C01-77DE-B4A0-5E61-0C2D",
+      generated_at: new Date("2024-05-01T12:34:56.789Z"),
+    });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Vault: <strong>ops<\/strong> &middot; 2 account\(s\)/);
+    assert.match(html, /Generated: 2024-05-01 12:34:56 UTC/);
+    assert.match(html, /<span class="fingerprint">3F2A-9C01-77DE-B4A0-5E61-0C2D<\/span>/);
+    assert.match(html, /<span class="secret">JBSW Y3DP EHPK 3PXP<\/span>/);
+    assert.match(html, /<dt>Counter<\/dt><dd>5<\/dd>/);
+    assert.equal(html.match(/<div class="qr"><svg/g).length, 2);
+    // 页面不引用任何外部资源
+    assert.doesNotMatch(html, /<(script|link|img)\b|src=|url\(/i);
+  });
+
+  it("shows the secret without a QR code when the parameters have no otpauth URI", async () => {
+    const html = await paper.render([{ ...GITHUB, epoch: 1000 }], { vault: "ops", fingerprint: "X" });
+    assert.match(html, /No QR code/);
+    assert.match(html, /<dt>T0<\/dt><dd>1000<\/dd>/);
+    assert.doesNotMatch(html, /<svg/);
+  });
+
+  it("escapes names and other text taken from the entries", async () => {
+    const evil = {
+      id: "e",
+      name: "<script>alert(\"name\")</script>",
+      platform: "Evil & Co <b>",
+      description: "o'brien\"><img src=x onerror=alert(1)>",
+      key: "JBSWY3DPEHPK3PXP",
+    };
+    const html = await paper.render([evil], { vault: "<vault>", fingerprint: "\"fp\"" });
+    assert.doesNotMatch(html, /<script|<img|<b>|<vault>/);
+    assert.match(html, /<h2>&lt;script&gt;alert\(&quot;name&quot;\)&lt;\/script&gt;<\/h2>/);
+    assert.match(html, /<dd>Evil &amp; Co &lt;b&gt;<\/dd>/);
+    assert.match(html, /<dd>o&#39;brien&quot;&gt;&lt;img src=x onerror=alert\(1\)&gt;<\/dd>/);
+    assert.match(html, /<title>2FA paper backup - &lt;vault&gt;<\/title>/);
+    assert.match(html, /<span class="fingerprint">&quot;fp&quot;<\/span>/);
+  });
+});
\ No newline at end of file
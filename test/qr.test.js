@@ -0,0 +1,46 @@
+/**
+ * @fileoverview 二维码识别测试
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PNG } from "pngjs";
+import qr from "../src/server/qr.js";
+
+/**
+ * 生成只有文件头、声明了指定尺寸的 PNG
+ * @param {number} width - 宽
+ * @param {number} height - 高
+ * @returns {Buffer} PNG 签名与 IHDR 块
+ */
+function png_header(width, height) {
+  const header = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+  header.writeUInt32BE(13, 8);
+  header.write("IHDR", 12, "latin1");
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  header[24] = 8;
+  header[25] = 6;
+  return header;
+}
+
+describe("qr.read_text", () => {
+  it("reads back a rendered QR code", async () => {
+    const uri = "otpauth://totp/Example:alice?secret=JBSWY3DPEHPK3PXP&issuer=Example";
+    const image = await qr.render(uri, "png");
+    assert.equal(qr.read_text(image), uri);
+  });
+
+  it("rejects oversized images before decoding", () => {
+    assert.throws(() => qr.read_text(png_header(qr.MAX_IMAGE_SIDE + 1, 1)),
+      { code: qr.ERROR_CODES.IMAGE_TOO_LARGE });
+    // 声明 65535×65535 的 JPEG 帧头（SOF0）
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0xff, 0xff, 0xff, 0xff, 0x03]);
+    assert.throws(() => qr.read_text(jpeg), { code: qr.ERROR_CODES.IMAGE_TOO_LARGE });
+  });
+
+  it("rejects unsupported images", () => {
+    assert.throws(() => qr.read_text(Buffer.from("GIF89a")), { code: qr.ERROR_CODES.UNSUPPORTED_IMAGE });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview TOTP 生成器测试
+ * @description RFC 6238 附录 B 与 RFC 4226 附录 D 的测试向量，以及自定义时间步长与 T0。
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import totp from "../src/server/totp.js";
+import secret from "../src/server/secret.js";
+
+// RFC 6238 附录 B：每种算法使用不同长度的 ASCII 种子
+const SEEDS = {
+  SHA1: secret.encode_base32(Buffer.from("12345678901234567890")),
+  SHA256: secret.encode_base32(Buffer.from("12345678901234567890123456789012")),
+  SHA512: secret.encode_base32(Buffer.from("1234567890".repeat(6) + "1234")),
+};
+
+const VECTORS = [
+  { time: 59, SHA1: "94287082", SHA256: "46119246", SHA512: "90693936" },
+  { time: 1111111109, SHA1: "07081804", SHA256: "68084774", SHA512: "25091201" },
+  { time: 1111111111, SHA1: "14050471", SHA256: "67062674", SHA512: "99943326" },
+  { time: 1234567890, SHA1: "89005924", SHA256: "91819424", SHA512: "93441116" },
+  { time: 2000000000, SHA1: "69279037", SHA256: "90698825", SHA512: "38618901" },
+  { time: 20000000000, SHA1: "65353130", SHA256: "77737706", SHA512: "47863826" },
+];
+
+describe("totp.generate", () => {
+  for (const algorithm of Object.keys(SEEDS)) {
+    it(`matches the RFC 6238 vectors for ${algorithm}`, () => {
+      for (const vector of VECTORS) {
+        assert.equal(totp.generate(SEEDS[algorithm], vector.time * 1000, { algorithm, digits: 8 }), vector[algorithm],
+          `T = ${vector.time}`);
+      }
+    });
+  }
+
+  it("accepts algorithm names in other spellings", () => {
+    assert.equal(totp.generate(SEEDS.SHA256, 59000, { algorithm: "sha-256", digits: 8 }), "46119246");
+  });
+
+  it("shifts the time steps by T0 and scales them by the period", () => {
+    assert.equal(totp.generate(SEEDS.SHA1, (59 + 1000) * 1000, { digits: 8, epoch: 1000 }), "94287082");
+    assert.equal(totp.generate(SEEDS.SHA1, 1111111109 * 2000, { digits: 8, period: 60 }), "07081804");
+  });
+
+  it("keeps the last digits of the 8-digit code for 6 digits", () => {
+    assert.equal(totp.generate(SEEDS.SHA1, 59000), "287082");
+  });
+
+  it("rejects invalid parameters", () => {
+    assert.throws(() => totp.generate(SEEDS.SHA1, 0, { algorithm: "MD5" }), RangeError);
+    assert.throws(() => totp.generate(SEEDS.SHA1, 0, { digits: 5 }), RangeError);
+    assert.throws(() => totp.generate(SEEDS.SHA1, 0, { period: 0 }), RangeError);
+    assert.throws(() => totp.generate_at_counter(SEEDS.SHA1, -1), RangeError);
+  });
+
+  it("rejects times before T0 instead of producing a negative counter", () => {
+    assert.throws(() => totp.counter_at(-5000), RangeError);
+    assert.throws(() => totp.generate(SEEDS.SHA1, Date.now(), { epoch: 4e9 }), RangeError);
+    assert.equal(totp.counter_at(4e12, { epoch: 4e9 }), 0);
+  });
+});
+// RFC 4226 附录 D：种子 "12345678901234567890"，计数器 0~9
+const HOTP_CODES = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+
+describe("totp.hotp", () => {
+  it("matches the RFC 4226 vectors", () => {
+    HOTP_CODES.forEach((code, counter) => {
+      assert.equal(totp.hotp(SEEDS.SHA1, counter), code, `counter ${counter}`);
+    });
+  });
+
+  it("finds the counter of a code within a range", () => {
+    assert.equal(totp.match_counter(SEEDS.SHA1, "162583", 3, 9), 7);
+    assert.equal(totp.match_counter(SEEDS.SHA1, "162583", 0, 6), null);
+  });
+});
+
+describe("totp.verify", () => {
+  const now = 1111111111 * 1000;
+  const current = totp.counter_at(now);
+
+  it("accepts codes within the drift window", () => {
+    const previous = totp.generate(SEEDS.SHA1, now - 30000);
+    assert.deepEqual(totp.verify(SEEDS.SHA1, previous, { nowtime: now }),
+      { valid: true, delta: -1, counter: current - 1, replayed: false });
+    assert.equal(totp.verify(SEEDS.SHA1, previous, { nowtime: now, window: 0 }).valid, false);
+    assert.equal(totp.verify(SEEDS.SHA1, "000000", { nowtime: now }).valid, false);
+  });
+
+  it("reports codes at or before the last accepted counter as replayed", () => {
+    const code = totp.generate(SEEDS.SHA1, now);
+    assert.deepEqual(totp.verify(SEEDS.SHA1, code, { nowtime: now, last_counter: current }),
+      { valid: false, delta: 0, counter: current, replayed: true });
+    assert.equal(totp.verify(SEEDS.SHA1, code, { nowtime: now, last_counter: current - 1 }).valid, true);
+  });
+
+  it("limits the drift window", () => {
+    assert.equal(totp.verify(SEEDS.SHA1, "000000", { nowtime: now, window: totp.MAX_WINDOW }).valid, false);
+    for (const window of [totp.MAX_WINDOW + 1, 200000, -1, 1.5, "abc"]) {
+      assert.throws(() => totp.verify(SEEDS.SHA1, "000000", { nowtime: now, window }), RangeError, String(window));
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,570 @@
+/**
+ * @fileoverview 密钥库管理器测试
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jsenv_aes from "../src/utils/jsenvaes.js";
+import totpmgr from "../src/server/totpmgr.js";
+import totp from "../src/server/totp.js";
+import backup from "../src/server/backup.js";
+
+const PASSWORD = "correct horse battery staple";
+const PASSPHRASE = "backup passphrase";
+
+/**
+ * 在临时目录中打开并解锁密钥库，目录中没有密钥库时创建
+ * @param {string} dir - 临时目录
+ * @returns {Promise<import("../src/server/totpmgr.js").VaultManager>} 已解锁的管理器
+ */
+async function new_vault(dir) {
+  const vault = totpmgr.open_vault({
+    name: path.basename(dir),
+    key_file: path.join(dir, ".keyfile"),
+    config_file: path.join(dir, "config.json"),
+    auto_lock: { idle_ms: 0, max_age_ms: 0 },
+  });
+  await vault.unlock(PASSWORD);
+  return vault;
+}
+
+describe("totpmgr.update_totp_key", () => {
+  let dir;
+  let vault;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    vault = await new_vault(dir);
+  });
+  after(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("accepts issuer names and URLs as the platform", async () => {
+    const id = await vault.add_totp_key({ name: "GitHub", platform: "GitHub", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+    assert.equal((await vault.update_totp_key(id, { platform: "My Bank" })).platform, "My Bank");
+    assert.equal((await vault.update_totp_key(id, { platform: "github.com" })).platform, "github.com");
+    assert.equal((await vault.update_totp_key(id, { platform: " https://github.com/login " })).platform,
+      "https://github.com/login");
+    await assert.rejects(vault.update_totp_key(id, { platform: "https://exa mple.com" }),
+      { code: totpmgr.ERROR_CODES.INVALID_FIELD });
+  });
+
+  it("rejects on add the same field values that update rejects", async () => {
+    const id = await vault.add_totp_key({ name: "GitHub", platform: "GitHub", description: "bob", key: "GEZDGNBVGY3TQOJQ" });
+    const base = { name: "Evil", platform: "Evil", description: "", key: "MFRGGZDFMZTWQ2LK" };
+    for (const fields of [{ name: { evil: 1 } }, { platform: 42 }, { description: null }, { rank: "abc" }]) {
+      await assert.rejects(vault.update_totp_key(id, fields), { code: totpmgr.ERROR_CODES.INVALID_FIELD });
+      await assert.rejects(vault.add_totp_key({ ...base, ...fields }), { code: totpmgr.ERROR_CODES.INVALID_FIELD });
+    }
+    assert.equal((await vault.get_totp_info()).filter(entry => entry.name === "Evil").length, 0);
+  });
+
+  it("trims and defaults fields on add as update does", async () => {
+    const id = await vault.add_totp_key({ name: "  GitLab  ", key: "ORSXG5BAMJQXG2LT" });
+    const entry = (await vault.get_totp_info()).find(item => item.id === id);
+    assert.equal(entry.name, "GitLab");
+    assert.equal(entry.platform, "");
+    assert.equal(entry.description, "");
+    assert.equal(entry.rank, 1);
+  });
+});
+
+describe("totpmgr.restore_totp_key", () => {
+  let dir;
+  let vault;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    vault = await new_vault(dir);
+  });
+  after(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("restores a deleted entry with its ID", async () => {
+    const id = await vault.add_totp_key({ name: "GitHub", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+    await vault.remove_totp_key(id);
+    assert.equal((await vault.restore_totp_key(id)).id, id);
+    assert.deepEqual((await vault.get_totp_info()).map(entry => entry.id), [id]);
+    assert.deepEqual(await vault.list_trash(), []);
+  });
+
+  it("refuses to restore over a live entry with the same ID", async () => {
+    const [{ id }] = await vault.get_totp_info();
+    await vault.remove_totp_key(id);
+    await vault.lock();
+
+    // 模拟旧版本写出的配置：回收站中的条目ID同时出现在 keys 中
+    const key_file = path.join(dir, ".keyfile");
+    const config_file = path.join(dir, "config.json");
+    const key = await jsenv_aes.derive_key_from_file(key_file, PASSWORD);
+    const config = await jsenv_aes.read_config(config_file, key);
+    const { deleted_at, ...live } = config.trash[0];
+    config.keys.push(live);
+    assert.equal(await jsenv_aes.write_config(config_file, config, key), true);
+
+    vault = await new_vault(dir);
+    await assert.rejects(vault.restore_totp_key(id), { code: totpmgr.ERROR_CODES.DUPLICATE });
+    assert.equal((await vault.get_totp_info()).length, 1);
+    assert.deepEqual((await vault.list_trash()).map(entry => entry.id), [id]);
+  });
+});
+
+describe("totpmgr.restore_entries", () => {
+  let dir;
+  let vault;
+  let file;
+  let github;
+  let gitlab;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    vault = await new_vault(dir);
+    github = await vault.add_totp_key({ name: "GitHub", platform: "github.com", description: "alice", key: "JBSWY3DPEHPK3PXP", tags: ["work"] });
+    gitlab = await vault.add_totp_key({ name: "GitLab", platform: "gitlab.com", description: "alice", key: "GEZDGNBVGY3TQOJQ" });
+    file = await backup.pack(await vault.export_entries(), PASSPHRASE, { vault: vault.name });
+  });
+  after(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 读出备份中的条目
+   * @returns {Promise<Array<Object>>} 完整条目
+   */
+  async function backup_entries() {
+    return (await backup.unpack(JSON.stringify(file), PASSPHRASE)).entries;
+  }
+
+  it("restores a backup into an empty vault with the same IDs and secrets", async () => {
+    const other_dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    const other = await new_vault(other_dir);
+    try {
+      const result = await other.restore_entries(await backup_entries());
+      assert.deepEqual(result.counts, { added: 2, updated: 0, unchanged: 0, skipped: 0, removed: 0 });
+      assert.deepEqual(await other.export_entries(), await vault.export_entries());
+    } finally {
+      await other.lock();
+      fs.rmSync(other_dir, { recursive: true, force: true });
+    }
+  });
+
+  it("previews the changes without applying them", async () => {
+    await vault.update_totp_key(github, { name: "GitHub (old)" });
+    const preview = await vault.restore_entries(await backup_entries(), { mode: "replace", dry_run: true });
+    assert.deepEqual(preview.counts, { added: 0, updated: 1, unchanged: 1, skipped: 0, removed: 0 });
+    assert.deepEqual(preview.updated[0].fields, ["name"]);
+    assert.equal((await vault.get_totp_info()).find(entry => entry.id === github).name, "GitHub (old)");
+  });
+
+  it("replaces changed entries and keeps the overwritten version in the trash", async () => {
+    await vault.restore_entries(await backup_entries(), { mode: "replace" });
+    assert.equal((await vault.get_totp_info()).find(entry => entry.id === github).name, "GitHub");
+    const trash = await vault.list_trash();
+    assert.equal(trash.length, 1);
+    assert.equal(trash[0].name, "GitHub (old)");
+    assert.notEqual(trash[0].id, github);
+    await vault.purge_trash();
+  });
+
+  it("takes a deleted entry out of the trash when merging it back from a backup", async () => {
+    await vault.remove_totp_key(gitlab);
+    const result = await vault.restore_entries(await backup_entries());
+    assert.equal(result.counts.added, 1);
+    assert.deepEqual((await vault.get_totp_info()).map(entry => entry.id).sort(), [github, gitlab].sort());
+    assert.deepEqual(await vault.list_trash(), []);
+    await assert.rejects(vault.restore_totp_key(gitlab), { code: totpmgr.ERROR_CODES.NOT_FOUND });
+  });
+
+  it("moves entries missing from the backup to the trash in replace mode", async () => {
+    const extra = await vault.add_totp_key({ name: "Mail", description: "alice", key: "MFRGGZDFMZTWQ2LK" });
+    const result = await vault.restore_entries(await backup_entries(), { mode: "replace" });
+    assert.deepEqual(result.removed.map(entry => entry.id), [extra]);
+    assert.deepEqual((await vault.list_trash()).map(entry => entry.id), [extra]);
+    assert.equal((await vault.get_totp_info()).length, 2);
+  });
+});
+
+describe("totpmgr duplicates", () => {
+  let dir;
+  let vault;
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    vault = await new_vault(dir);
+  });
+  afterEach(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const GITHUB = { name: "GitHub", platform: "GitHub", description: "alice", key: "JBSWY3DPEHPK3PXP" };
+
+  it("detects the same secret in any encoding and the same issuer and account", async () => {
+    const id = await vault.add_totp_key(GITHUB);
+    assert.equal(await vault.has_secret("jbsw y3dp ehpk 3pxp"), true);
+    assert.equal(await vault.has_secret("GEZDGNBVGY3TQOJQ"), false);
+    assert.equal(await vault.has_secret("not a secret"), false);
+    assert.deepEqual(await vault.find_duplicate({ name: "Copy", key: "48656c6c6f21deadbeef", encoding: "hex" }),
+      [{ id, reason: "secret" }]);
+    assert.deepEqual(await vault.find_duplicate({ name: "github", description: " ALICE ", key: "GEZDGNBVGY3TQOJQ" }),
+      [{ id, reason: "identity" }]);
+    assert.deepEqual(await vault.find_duplicate({ name: "GitHub", description: "bob", key: "GEZDGNBVGY3TQOJQ" }), []);
+  });
+
+  it("handles a duplicate add according to the mode", async () => {
+    const id = await vault.add_totp_key(GITHUB);
+    const copy = { ...GITHUB, name: "GitHub (phone)" };
+
+    await assert.rejects(vault.add_totp_key(copy), (error) => {
+      assert.equal(error.code, totpmgr.ERROR_CODES.DUPLICATE);
+      assert.deepEqual(error.details, { duplicates: [{ id, reason: "secret" }] });
+      return true;
+    });
+    assert.equal(await vault.add_totp_key(copy, { on_duplicate: "skip" }), id);
+    assert.deepEqual((await vault.get_totp_info()).map(entry => entry.name), ["GitHub"]);
+
+    assert.equal(await vault.add_totp_key(copy, { on_duplicate: "replace" }), id);
+    assert.deepEqual((await vault.get_totp_info()).map(entry => [entry.id, entry.name]), [[id, "GitHub (phone)"]]);
+    const [replaced] = await vault.list_trash();
+    assert.equal(replaced.name, "GitHub");
+    assert.notEqual(replaced.id, id);
+
+    const both = await vault.add_totp_key(copy, { on_duplicate: "keep_both" });
+    assert.notEqual(both, id);
+    assert.equal((await vault.get_totp_info()).length, 2);
+
+    await assert.rejects(vault.add_totp_key(copy, { on_duplicate: "merge" }),
+      { code: totpmgr.ERROR_CODES.INVALID_ARGUMENT });
+  });
+
+  it("adds nothing from a batch that duplicates itself in error mode", async () => {
+    await assert.rejects(vault.add_totp_keys([GITHUB, { ...GITHUB, name: "GitHub (phone)" }]),
+      { code: totpmgr.ERROR_CODES.DUPLICATE });
+    assert.deepEqual(await vault.get_totp_info(), []);
+
+    const ids = await vault.add_totp_keys([GITHUB, { ...GITHUB, name: "GitHub (phone)" }], { on_duplicate: "skip" });
+    assert.equal(ids[0], ids[1]);
+    assert.equal((await vault.get_totp_info()).length, 1);
+  });
+
+  it("groups duplicates transitively and merges them into the kept entry", async () => {
+    const keep = await vault.add_totp_key({ ...GITHUB, tags: ["work"] });
+    const twin = await vault.add_totp_key({ name: "GitHub copy", description: "alice", key: GITHUB.key, tags: ["phone"],
+      favorite: true, meta: { note: "from phone" } }, { on_duplicate: "keep_both" });
+    const same_account = await vault.add_totp_key({ ...GITHUB, key: "GEZDGNBVGY3TQOJQ", rank: 0 },
+      { on_duplicate: "keep_both" });
+    const other = await vault.add_totp_key({ name: "GitLab", platform: "GitLab", description: "alice", key: "MFRGGZDFMZTWQ2LK" });
+
+    const [cluster, ...rest] = await vault.find_duplicates();
+    assert.deepEqual(rest, []);
+    assert.deepEqual(cluster.ids, [keep, twin, same_account]);
+    assert.deepEqual(cluster.reasons, ["identity", "secret"]);
+    assert.deepEqual(cluster.merged.tags, ["work", "phone"]);
+
+    await assert.rejects(vault.merge_duplicates([keep]), { code: totpmgr.ERROR_CODES.INVALID_FIELD });
+    await assert.rejects(vault.merge_duplicates(cluster.ids, other), { code: totpmgr.ERROR_CODES.INVALID_FIELD });
+    await assert.rejects(vault.merge_duplicates([keep, "missing"]), { code: totpmgr.ERROR_CODES.NOT_FOUND });
+
+    const merged = await vault.merge_duplicates(cluster.ids);
+    assert.equal(merged.id, keep);
+    assert.equal(merged.name, "GitHub");
+    assert.deepEqual(merged.tags, ["work", "phone"]);
+    assert.equal(merged.favorite, true);
+    assert.equal(merged.rank, 0);
+    assert.deepEqual(merged.meta, { note: "from phone" });
+    assert.deepEqual((await vault.get_totp_info()).map(entry => entry.id), [keep, other]);
+    assert.deepEqual((await vault.list_trash()).map(entry => entry.id).sort(), [twin, same_account].sort());
+    assert.deepEqual(await vault.find_duplicates(), []);
+  });
+});
+
+describe("totpmgr.search", () => {
+  let dir;
+  let vault;
+  const ids = {};
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    vault = await new_vault(dir);
+    ids.github = await vault.add_totp_key({ name: "GitHub", platform: "https://github.com", description: "alice",
+      key: "JBSWY3DPEHPK3PXP" });
+    ids.gitlab = await vault.add_totp_key({ name: "GitLab", platform: "gitlab.com", description: "alice",
+      key: "GEZDGNBVGY3TQOJQ", favorite: true });
+    ids.mail = await vault.add_totp_key({ name: "Work mail", platform: "Mail", description: "github notifications",
+      key: "MFRGGZDFMZTWQ2LK", tags: ["github"] });
+    ids.gitea = await vault.add_totp_key({ name: "Gitea", description: "bob", key: "ORSXG5BAMJQXG2LT" });
+  });
+  after(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 搜索并返回结果的ID与得分
+   * @param {string} query - 查询文本
+   * @returns {Promise<Array<Array>>} [ID, 得分] 列表，顺序同搜索结果
+   */
+  async function ranked(query) {
+    return (await vault.search(query)).map(result => [result.id, result.score]);
+  }
+
+  it("ranks by field weight and match quality", async () => {
+    // 名称完全相同高于标签完全相同，描述中的前缀最低且被同一条目更好的标签匹配覆盖
+    assert.deepEqual(await ranked("github"), [[ids.github, 120], [ids.mail, 102]]);
+  });
+
+  it("breaks ties by favorite and rank", async () => {
+    assert.deepEqual(await ranked("git"), [[ids.gitlab, 100], [ids.github, 100], [ids.gitea, 100], [ids.mail, 85]]);
+    await vault.update_totp_key(ids.gitea, { rank: 0 });
+    assert.deepEqual((await ranked("git")).map(([id]) => id), [ids.gitlab, ids.gitea, ids.github, ids.mail]);
+    await vault.update_totp_key(ids.gitea, { rank: 1 });
+  });
+
+  it("requires every term to match and adds up their scores", async () => {
+    assert.deepEqual(await ranked("git alice"), [[ids.gitlab, 184], [ids.github, 184]]);
+    assert.deepEqual(await ranked("git carol"), []);
+  });
+
+  it("tolerates typos and reports highlights and the platform domain", async () => {
+    const [result] = await vault.search("gthub");
+    assert.equal(result.id, ids.github);
+    assert.equal(result.domain, "github.com");
+    assert.deepEqual(result.highlights.name, [[0, 1], [2, 6]]);
+    assert.deepEqual(result.highlights.domain, [[0, 1], [2, 6]]);
+    assert.equal(result.key, undefined);
+  });
+
+  it("limits the results and rejects invalid limits", async () => {
+    assert.equal((await vault.search("git", { limit: 1 })).length, 1);
+    assert.deepEqual(await vault.search("   "), []);
+    for (const limit of [0, 101, 1.5, "5"]) {
+      await assert.rejects(vault.search("git", { limit }), { code: totpmgr.ERROR_CODES.INVALID_ARGUMENT });
+    }
+  });
+});
+
+describe("totpmgr save failures", () => {
+  let dir;
+  let vault;
+  let config_file;
+  let id;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    config_file = path.join(dir, "config.json");
+    vault = await new_vault(dir);
+    id = await vault.add_totp_key({ name: "GitHub", platform: "github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+  });
+  after(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 让配置文件无法写入：目标是目录时改名失败
+   */
+  function break_config_file() {
+    fs.rmSync(config_file);
+    fs.mkdirSync(config_file);
+  }
+
+  it("rolls back the change when the config cannot be written", async () => {
+    const saved = fs.readFileSync(config_file);
+    break_config_file();
+
+    await assert.rejects(vault.add_totp_key({ name: "GitLab", description: "alice", key: "GEZDGNBVGY3TQOJQ" }),
+      { code: totpmgr.ERROR_CODES.SAVE_FAILED });
+    await assert.rejects(vault.update_totp_key(id, { name: "Renamed" }), { code: totpmgr.ERROR_CODES.SAVE_FAILED });
+    await assert.rejects(vault.remove_totp_key(id), { code: totpmgr.ERROR_CODES.SAVE_FAILED });
+
+    const keys = await vault.get_totp_info();
+    assert.deepEqual(keys.map(entry => [entry.id, entry.name]), [[id, "GitHub"]]);
+    assert.deepEqual(await vault.list_trash(), []);
+
+    fs.rmdirSync(config_file);
+    fs.writeFileSync(config_file, saved);
+  });
+
+  it("saves later changes once the config is writable again", async () => {
+    await vault.update_totp_key(id, { name: "Renamed" });
+    await vault.lock();
+    vault = await new_vault(dir);
+    assert.deepEqual((await vault.get_totp_info()).map(entry => entry.name), ["Renamed"]);
+  });
+});
+
+describe("totpmgr.change_password", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("locks the vault when the change fails after the commit and finishes it on the next unlock", async () => {
+    const new_password = "new correct horse";
+    const config_file = path.join(dir, "config.json");
+    const vault = await new_vault(dir);
+    const id = await vault.add_totp_key({ name: "GitHub", platform: "github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+    // 配置文件的位置被目录占用：新文件都能写好，提交后改名覆盖配置文件时失败
+    const saved = fs.readFileSync(config_file);
+    fs.rmSync(config_file);
+    fs.mkdirSync(config_file);
+
+    await assert.rejects(vault.change_password(PASSWORD, new_password),
+      { code: jsenv_aes.ERROR_CODES.REKEY_INCOMPLETE });
+    assert.equal(vault.is_unlocked(), false);
+    await assert.rejects(vault.get_totp_info(), { code: totpmgr.ERROR_CODES.LOCKED });
+    assert.equal(fs.existsSync(`${config_file}.new`), true);
+
+    fs.rmdirSync(config_file);
+    fs.writeFileSync(config_file, saved);
+    await assert.rejects(vault.unlock(PASSWORD), { code: totpmgr.ERROR_CODES.WRONG_PASSWORD });
+    await vault.unlock(new_password);
+    assert.deepEqual((await vault.get_totp_info()).map(entry => entry.id), [id]);
+    assert.equal(fs.existsSync(`${config_file}.new`), false);
+    await vault.lock();
+  });
+});
+
+describe("totpmgr.unlock", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("stays locked when the migrated config cannot be saved", async () => {
+    const vault = await new_vault(dir);
+    await vault.lock();
+
+    // 版本 1 的配置在解锁时需要迁移并写回
+    const config_file = path.join(dir, "config.json");
+    const key = await jsenv_aes.derive_key_from_file(path.join(dir, ".keyfile"), PASSWORD);
+    const old_config = { version: 1, keys: [{ name: "GitHub", platform: "github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" }] };
+    assert.equal(await jsenv_aes.write_config(config_file, old_config, key), true);
+    // 临时文件的位置被目录占用，写入失败
+    const tmp_path = `${path.resolve(config_file)}.${process.pid}.tmp`;
+    fs.mkdirSync(tmp_path);
+
+    await assert.rejects(vault.unlock(PASSWORD), /migrated config/);
+    assert.equal(vault.is_unlocked(), false);
+    await assert.rejects(vault.get_totp_info(), { code: totpmgr.ERROR_CODES.LOCKED });
+
+    fs.rmdirSync(tmp_path);
+    await vault.unlock(PASSWORD);
+    const [entry] = await vault.get_totp_info();
+    assert.equal(entry.name, "GitHub");
+    assert.equal(typeof entry.id, "string");
+    await vault.lock();
+  });
+
+  it("rejects a wrong password without unlocking", async () => {
+    const vault = totpmgr.open_vault({
+      name: "wrong",
+      key_file: path.join(dir, ".keyfile"),
+      config_file: path.join(dir, "config.json"),
+      auto_lock: { idle_ms: 0, max_age_ms: 0 },
+    });
+    await assert.rejects(vault.unlock("wrong password"), { code: totpmgr.ERROR_CODES.WRONG_PASSWORD });
+    assert.equal(vault.is_unlocked(), false);
+    await vault.unlock(PASSWORD);
+    assert.equal(await vault.check_password(PASSWORD), true);
+    assert.equal(await vault.check_password("wrong password"), false);
+    await assert.rejects(vault.unlock("wrong password"), { code: totpmgr.ERROR_CODES.WRONG_PASSWORD });
+    await vault.lock();
+  });
+
+  it("runs concurrent unlocks one after another", async () => {
+    const vault = totpmgr.open_vault({
+      name: "concurrent",
+      key_file: path.join(dir, ".keyfile"),
+      config_file: path.join(dir, "config.json"),
+      auto_lock: { idle_ms: 0, max_age_ms: 0 },
+    });
+    const results = await Promise.allSettled([
+      vault.unlock(PASSWORD),
+      vault.unlock("wrong password"),
+      vault.unlock(PASSWORD),
+    ]);
+    assert.deepEqual(results.map(result => result.status), ["fulfilled", "rejected", "fulfilled"]);
+    assert.equal(results[1].reason.code, totpmgr.ERROR_CODES.WRONG_PASSWORD);
+    assert.equal(vault.is_unlocked(), true);
+    await vault.lock();
+  });
+});
+
+describe("totpmgr.generate", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records usage statistics and writes them when the vault is locked", async () => {
+    let vault = await new_vault(dir);
+    const id = await vault.add_totp_key({ name: "GitHub", platform: "github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+    const [result] = await Promise.all([
+      vault.generate(id),
+      vault.update_totp_key(id, { name: "Renamed" }),
+      vault.generate(id),
+    ]);
+    assert.equal(result.code.length, 6);
+    await vault.lock();
+
+    vault = await new_vault(dir);
+    const [entry] = await vault.get_totp_info();
+    assert.equal(entry.name, "Renamed");
+    assert.equal(entry.use_count, 2);
+    assert.equal(typeof entry.last_generated_at, "string");
+    await vault.lock();
+  });
+});
+
+describe("totpmgr.verify", () => {
+  let dir;
+  let vault;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "totpmgr-"));
+    vault = await new_vault(dir);
+  });
+  after(async () => {
+    await vault.lock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("accepts a TOTP code once and rejects its replay", async () => {
+    const id = await vault.add_totp_key({ name: "GitHub", platform: "github.com", description: "alice", key: "JBSWY3DPEHPK3PXP" });
+    const { code, counter } = await vault.generate(id);
+    // 生成与校验之间可能跨过时间步边界，不比较 delta
+    const first = await vault.verify(id, code);
+    assert.deepEqual([first.valid, first.counter, first.replayed], [true, counter, false]);
+    const again = await vault.verify(id, code);
+    assert.deepEqual([again.valid, again.counter, again.replayed], [false, counter, true]);
+  });
+
+  it("moves the HOTP counter past an accepted code so it cannot be reused", async () => {
+    const id = await vault.add_totp_key({ name: "VPN", platform: "vpn", description: "alice", key: "GEZDGNBVGY3TQOJQ",
+      type: "hotp", counter: 5 });
+    const code = totp.hotp("GEZDGNBVGY3TQOJQ", 6);
+    assert.deepEqual(await vault.verify(id, code), { valid: true, delta: 1, counter: 6, replayed: false });
+    assert.equal((await vault.verify(id, code)).valid, false);
+    assert.equal((await vault.get_totp_info()).find(entry => entry.id === id).counter, 7);
+  });
+
+  it("rejects windows that are not small non-negative integers", async () => {
+    for (const entry of await vault.get_totp_info()) {
+      for (const window of [totp.MAX_WINDOW + 1, 200000, 1e15, -1, "abc", null]) {
+        await assert.rejects(vault.verify(entry.id, "000000", window), { code: totpmgr.ERROR_CODES.INVALID_ARGUMENT },
+          `${entry.type} ${window}`);
+      }
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview 密钥库注册表测试
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import totpmgr from "../src/server/totpmgr.js";
+import vaults from "../src/server/vaults.js";
+
+const OPS_PASSWORD = "ops password";
+const DEFAULT_PASSWORD = "default password";
+
+describe("vaults", () => {
+  let dir;
+  let cwd;
+  before(() => {
+    // 注册表按相对于工作目录的固定位置查找密钥库
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vaults-"));
+    process.chdir(dir);
+    vaults.configure({ idle_minutes: 0, max_session_minutes: 0 });
+  });
+  after(async () => {
+    for (const { name } of await vaults.list()) {
+      await vaults.get(name).lock();
+    }
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("rejects invalid and unknown vault names", () => {
+    for (const name of ["", "Ops", "-ops", "o".repeat(33), "../ops", 42]) {
+      assert.throws(() => vaults.get(name), { code: vaults.ERROR_CODES.INVALID_NAME }, String(name));
+    }
+    assert.throws(() => vaults.get("ops"), { code: vaults.ERROR_CODES.NOT_FOUND });
+    assert.equal(vaults.get(), vaults.get(vaults.DEFAULT_VAULT));
+  });
+
+  it("creates a vault in its own directory and refuses to create it twice", async () => {
+    const vault = await vaults.create("ops", OPS_PASSWORD);
+    assert.equal(vault.is_unlocked(), true);
+    assert.equal(vaults.get("ops"), vault);
+    assert.equal(fs.existsSync(path.join("vaults", "ops", ".keyfile")), true);
+    assert.deepEqual(await vaults.list(), [{ name: "default", unlocked: false }, { name: "ops", unlocked: true }]);
+
+    await assert.rejects(vaults.create("ops", OPS_PASSWORD), { code: vaults.ERROR_CODES.EXISTS });
+    await assert.rejects(vaults.create(vaults.DEFAULT_VAULT, OPS_PASSWORD), { code: vaults.ERROR_CODES.EXISTS });
+  });
+
+  it("leaves nothing behind when creation is refused", async () => {
+    await assert.rejects(vaults.create("empty", ""), /non-empty string/);
+    await assert.rejects(vaults.create("Bad", OPS_PASSWORD), { code: vaults.ERROR_CODES.INVALID_NAME });
+    assert.equal(fs.existsSync(path.join("vaults", "empty")), false);
+    assert.throws(() => vaults.get("empty"), { code: vaults.ERROR_CODES.NOT_FOUND });
+    assert.deepEqual((await vaults.list()).map(vault => vault.name), ["default", "ops"]);
+  });
+
+  it("keeps the entries, passwords and lock state of each vault apart", async () => {
+    const ops = vaults.get("ops");
+    const personal = vaults.get();
+    await personal.unlock(DEFAULT_PASSWORD);
+    const id = await ops.add_totp_key({ name: "Grafana", platform: "grafana.example.com", description: "oncall",
+      key: "JBSWY3DPEHPK3PXP" });
+    assert.deepEqual(await personal.get_totp_info(), []);
+    // 另一个密钥库中的同一密钥不算重复
+    await personal.add_totp_key({ name: "Grafana", platform: "grafana.example.com", description: "oncall",
+      key: "JBSWY3DPEHPK3PXP" });
+
+    await ops.lock();
+    assert.equal(personal.is_unlocked(), true);
+    await assert.rejects(ops.get_totp_info(), { code: totpmgr.ERROR_CODES.LOCKED });
+    await assert.rejects(ops.unlock(DEFAULT_PASSWORD), { code: totpmgr.ERROR_CODES.WRONG_PASSWORD });
+
+    await ops.unlock(OPS_PASSWORD);
+    assert.deepEqual((await ops.get_totp_info()).map(entry => entry.id), [id]);
+    assert.notDeepEqual((await personal.get_totp_info()).map(entry => entry.id), [id]);
+    assert.deepEqual(await vaults.list(), [{ name: "default", unlocked: true }, { name: "ops", unlocked: true }]);
+  });
+});
\ No newline at end of file